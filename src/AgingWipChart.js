@@ -0,0 +1,198 @@
+import React, { useState, useMemo } from 'react';
+import { ScatterChart, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceArea, ReferenceLine } from 'recharts';
+import { formatDate } from './dateParsing';
+import { formatNumber, maxOf } from './statistics';
+
+// Faixas de lead time histórico usadas como referência para a idade dos itens
+const BANDS = [
+  { from: null, to: 50, fill: '#10b981' },
+  { from: 50, to: 85, fill: '#f59e0b' },
+  { from: 85, to: 95, fill: '#f97316' },
+  { from: 95, to: null, fill: '#ef4444' }
+];
+
+const SORTS = {
+  ageDesc: 'Mais antigos primeiro',
+  ageAsc: 'Mais novos primeiro'
+};
+
+// Deslocamento horizontal estável por ID, para os pontos não se sobreporem
+const jitter = (id) => {
+  let hash = 0;
+  for (let index = 0; index < id.length; index++) {
+    hash = (hash * 31 + id.charCodeAt(index)) % 1000;
+  }
+  return (hash / 1000 - 0.5) * 0.6;
+};
+
+// Aging WIP: idade dos itens em andamento contra as faixas históricas de lead time
+const AgingWipChart = ({ openItems, groups, bands, countDays, unit }) => {
+  const [sort, setSort] = useState('ageDesc');
+
+  // A idade é medida como o lead time, como se o item fosse concluído hoje; no modo de dias úteis
+  // a contagem percorre dia a dia, então só é refeita quando os itens ou o modo mudam
+  const agingItems = useMemo(() => {
+    const today = new Date();
+    const groupIndex = {};
+    groups.forEach(({ group }, index) => {
+      groupIndex[group] = index;
+    });
+
+    return openItems
+      .filter(item => groupIndex[item.group] !== undefined)
+      .map(item => {
+        const age = countDays(item.commitedDate, today);
+        return { ...item, age, x: groupIndex[item.group] + jitter(item.id), y: age };
+      });
+  }, [openItems, groups, countDays]);
+
+  const agedItems = useMemo(() => agingItems.map(item => ({
+    ...item,
+    overP85: bands && item.age > bands[85],
+    overP95: bands && item.age > bands[95]
+  })), [agingItems, bands]);
+
+  const sortedItems = [...agedItems].sort((a, b) => (sort === 'ageDesc' ? b.age - a.age : a.age - b.age));
+  const overP85Count = agedItems.filter(item => item.overP85).length;
+  const maxAge = Math.max(0, maxOf(agedItems.map(item => item.age)));
+  const yMax = Math.max(maxAge, bands ? bands[95] : 0) + 1;
+
+  const AgingTooltip = ({ active, payload }) => {
+    if (!active || !payload || !payload.length) return null;
+    const item = payload[0].payload;
+    return (
+      <div className="bg-white p-3 border rounded shadow-lg">
+        <p className="font-semibold">{item.id}</p>
+        <p className="text-sm">Tipo: {item.type}</p>
+        <p className="text-sm">Commited: {formatDate(item.commitedDate)}</p>
+        <p className="text-sm">Idade: {item.age} {unit}</p>
+      </div>
+    );
+  };
+
+  if (agedItems.length === 0) {
+    return (
+      <p className="text-sm text-gray-500">
+        Nenhum item em andamento (sem Closed Date) nos grupos selecionados.
+      </p>
+    );
+  }
+
+  return (
+    <div>
+      <p className="text-sm text-gray-600 mb-2">
+        {agedItems.length} itens em andamento ·{' '}
+        <span className={overP85Count > 0 ? 'text-red-700 font-semibold' : ''}>
+          {overP85Count} acima do P85 histórico
+        </span>
+        {!bands && ' · sem itens concluídos para calcular as faixas'}
+      </p>
+
+      <ResponsiveContainer width="100%" height={500}>
+        <ScatterChart margin={{ top: 20, right: 30, bottom: 40, left: 60 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
+          <XAxis
+            type="number"
+            dataKey="x"
+            domain={[-0.5, groups.length - 0.5]}
+            ticks={groups.map((_, index) => index)}
+            tickFormatter={(index) => (groups[index] ? groups[index].group : '')}
+            height={60}
+            stroke="#666"
+          />
+          <YAxis
+            type="number"
+            dataKey="y"
+            domain={[0, yMax]}
+            label={{ value: `Idade (${unit})`, angle: -90, position: 'insideLeft' }}
+            stroke="#666"
+          />
+          <Tooltip content={<AgingTooltip />} />
+
+          {bands && BANDS.map(({ from, to, fill }) => (
+            <ReferenceArea
+              key={`${from}-${to}`}
+              y1={from ? bands[from] : 0}
+              y2={to ? bands[to] : yMax}
+              fill={fill}
+              fillOpacity={0.08}
+              ifOverflow="hidden"
+            />
+          ))}
+          {bands && [50, 85, 95].map(value => (
+            <ReferenceLine
+              key={value}
+              y={bands[value]}
+              stroke="#9ca3af"
+              strokeDasharray="5 5"
+              label={{ value: `P${value}: ${formatNumber(bands[value])} ${unit}`, position: 'insideTopRight' }}
+            />
+          ))}
+
+          {groups.map(({ group, color }) => (
+            <Scatter
+              key={group}
+              name={group}
+              data={agedItems.filter(item => item.group === group)}
+              fill={color}
+              shape={({ cx, cy, payload }) => (
+                <circle
+                  cx={cx}
+                  cy={cy}
+                  r={payload.overP85 ? 7 : 5}
+                  fill={color}
+                  stroke={payload.overP85 ? '#b91c1c' : 'none'}
+                  strokeWidth={2}
+                />
+              )}
+            />
+          ))}
+        </ScatterChart>
+      </ResponsiveContainer>
+
+      <div className="mt-4">
+        <div className="flex items-center justify-between mb-2 text-sm">
+          <h3 className="font-semibold text-gray-800">Itens em andamento</h3>
+          <select
+            value={sort}
+            onChange={(e) => setSort(e.target.value)}
+            aria-label="Ordenação"
+            className="border border-gray-300 rounded px-2 py-1"
+          >
+            {Object.entries(SORTS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="overflow-auto border rounded" style={{maxHeight: '320px'}}>
+          <table className="w-full text-sm">
+            <thead className="bg-gray-100 text-gray-700 sticky top-0">
+              <tr>
+                <th className="text-left px-3 py-2">ID</th>
+                <th className="text-left px-3 py-2">Tipo</th>
+                <th className="text-left px-3 py-2">Commited</th>
+                <th className="text-right px-3 py-2">Idade</th>
+                <th className="text-left px-3 py-2">Situação</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sortedItems.map(item => (
+                <tr key={item.id} className={`border-t ${item.overP85 ? 'bg-red-50' : ''}`}>
+                  <td className="px-3 py-1 font-mono">{item.id}</td>
+                  <td className="px-3 py-1">{item.type}</td>
+                  <td className="px-3 py-1">{formatDate(item.commitedDate)}</td>
+                  <td className="px-3 py-1 text-right">{item.age} {unit}</td>
+                  <td className={`px-3 py-1 ${item.overP85 ? 'text-red-700 font-semibold' : 'text-gray-500'}`}>
+                    {item.overP95 ? 'Acima do P95' : item.overP85 ? 'Acima do P85' : '—'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AgingWipChart;
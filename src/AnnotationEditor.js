@@ -0,0 +1,73 @@
+import React, { useState } from 'react';
+import { ANNOTATION_CATEGORIES, EMPTY_ANNOTATION } from './annotations';
+import { formatDate } from './dateParsing';
+
+// Anotação de um item fora do padrão: categoria, motivo e exclusão opcional das estatísticas
+const AnnotationEditor = ({ item, unit, onSave, onClose }) => {
+  const [draft, setDraft] = useState(item.annotation || EMPTY_ANNOTATION);
+
+  return (
+    <div className="mt-4 p-4 rounded-lg border border-yellow-300 bg-yellow-50 text-sm">
+      <div className="flex justify-between items-start mb-3">
+        <div>
+          <h3 className="font-semibold text-gray-800">📝 Anotação · {item.id}</h3>
+          <p className="text-gray-600">
+            {item.type} · Closed {formatDate(item.closedDate)} · {item.leadTime} {unit}
+          </p>
+        </div>
+        <button onClick={onClose} className="text-gray-500 hover:text-gray-800" title="Fechar">×</button>
+      </div>
+
+      <div className="flex flex-wrap items-start gap-3">
+        <select
+          value={draft.category}
+          onChange={(e) => setDraft({ ...draft, category: e.target.value })}
+          aria-label="Categoria"
+          className="border border-gray-300 rounded px-2 py-1"
+        >
+          {Object.entries(ANNOTATION_CATEGORIES).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        <textarea
+          value={draft.reason}
+          onChange={(e) => setDraft({ ...draft, reason: e.target.value })}
+          placeholder="Motivo (ex.: aguardando fornecedor por 3 meses)"
+          aria-label="Motivo"
+          rows={2}
+          className="flex-1 border border-gray-300 rounded px-2 py-1"
+          style={{ minWidth: '240px' }}
+        />
+      </div>
+
+      <div className="flex flex-wrap justify-between items-center gap-2 mt-3">
+        <label className="flex items-center gap-2 text-gray-700">
+          <input
+            type="checkbox"
+            checked={draft.excluded}
+            onChange={(e) => setDraft({ ...draft, excluded: e.target.checked })}
+          />
+          Excluir dos percentis e médias
+        </label>
+        <div className="flex gap-2">
+          {item.annotation && (
+            <button
+              onClick={() => onSave(null)}
+              className="bg-gray-100 hover:bg-gray-200 text-red-700 px-3 py-1 rounded"
+            >
+              Remover anotação
+            </button>
+          )}
+          <button
+            onClick={() => onSave({ ...draft, reason: draft.reason.trim() })}
+            className="bg-blue-500 hover:bg-blue-600 text-white px-3 py-1 rounded"
+          >
+            Salvar
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AnnotationEditor;
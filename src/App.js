@@ -1,216 +1,555 @@
-import React, { useState, useEffect } from 'react';
-import { ScatterChart, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend, ReferenceLine } from 'recharts';
-import Papa from 'papaparse';
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import {
+  ScatterChart, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend, ReferenceLine, Customized
+} from 'recharts';
+import ColumnMappingStep from './ColumnMappingStep';
+import ValidationReport from './ValidationReport';
+import ForecastPanel from './ForecastPanel';
+import ThroughputChart from './ThroughputChart';
+import LeadTimeHistogram from './LeadTimeHistogram';
+import PercentileControls from './PercentileControls';
+import DateRangePicker from './DateRangePicker';
+import DateRangeBrush from './DateRangeBrush';
+import AgingWipChart from './AgingWipChart';
+import BusinessDaySettings from './BusinessDaySettings';
+import ColumnFilters from './ColumnFilters';
+import ComparisonPanel from './ComparisonPanel';
+import ExportMenu from './ExportMenu';
+import ReportView from './ReportView';
+import DatasetPicker from './DatasetPicker';
+import ItemTable from './ItemTable';
+import ScatterCanvas from './ScatterCanvas';
+import AnnotationEditor from './AnnotationEditor';
+import SleSettings from './SleSettings';
+import SleBreachChart from './SleBreachChart';
+import { detectMapping, isMappingComplete, loadSavedMapping, saveMapping } from './columnMapping';
+import { processRows, mergeSources, countBySource, itemsToCSV } from './csvProcessing';
+import { parseCSVFile, fetchCSV } from './csvReader';
+import { readUrlState, applyUrlSettings, buildUrlSearch } from './urlState';
+import { downloadFile, findChartSvg, serializeChart } from './download';
+import { formatDate, fromInputDate, addDays } from './dateParsing';
+import { EMPTY_RANGE, buildRangePresets, isInRange, isRangeActive, formatRange } from './dateRange';
+import { PERCENTILE_METHODS, summarize, formatNumber, computePercentiles, minOf, maxOf } from './statistics';
+import { getColorForPercentile, getDashForPercentile, getColorForGroup, getBackgroundColorForGroup } from './colors';
+import { TREND_WINDOWS, TREND_PERCENTILES, buildRollingPercentiles } from './trend';
+import { createDayCounter, loadBusinessConfig, saveBusinessConfig } from './businessDays';
+import { TYPE_GROUP, getGroupValue, matchesColumnFilters, columnLabel } from './grouping';
+import {
+  listDatasets, getDataset, saveDataset, updateDataset, replaceDatasetContent, deleteDataset, loadLastDatasetId,
+  saveLastDatasetId
+} from './datasetStore';
+import { LASSO_MIN_STEP, isInsidePolygon } from './selection';
+import { ANNOTATION_CATEGORIES, isExcluded, annotationsToCSV } from './annotations';
+import { isBreaching, summarizeSle } from './sle';
+
+// Visões disponíveis no dashboard
+const VIEWS = {
+  scatter: { tab: 'Dispersão', title: 'Dispersão do Lead Time' },
+  histogram: { tab: 'Distribuição', title: 'Distribuição do Lead Time' },
+  throughput: { tab: 'Throughput', title: 'Throughput por Período' },
+  forecast: { tab: 'Previsão', title: 'Previsão de Entregas (Monte Carlo)' },
+  aging: { tab: 'Aging WIP', title: 'Aging do Trabalho em Andamento' },
+  sle: { tab: 'SLE', title: 'Violações do SLE por Período' },
+  compare: { tab: 'Comparação', title: 'Comparação de Lead Time' }
+};
+
+// Grupo escolhido, anotação e lead time do modo selecionado; em dias corridos o lead time já vem do processamento
+const deriveItems = (items, groupBy, leadTimeMode, countDays, annotations) => items.map(item => ({
+  ...item,
+  group: getGroupValue(item, groupBy),
+  annotation: annotations[item.id] || null,
+  ...(leadTimeMode === 'calendar' ? {} : { leadTime: countDays(item.commitedDate, item.closedDate) })
+}));
+
+// Filtros e opções de visualização salvos com cada dataset e restaurados ao reabri-lo
+const DEFAULT_SETTINGS = {
+  view: 'scatter',
+  groupBy: TYPE_GROUP,
+  groupFilters: {},
+  columnFilters: {},
+  percentileLines: [
+    { value: 85, visible: true },
+    { value: 95, visible: true }
+  ],
+  percentileMethod: 'index',
+  percentilesByGroup: false,
+  dateRange: EMPTY_RANGE,
+  showTrend: false,
+  trendWindow: 90,
+  leadTimeMode: 'calendar',
+  itemUrlTemplate: '',
+  sleTargets: {}
+};
+
+// Acima deste volume o scatter é desenhado em canvas, sem um elemento SVG por ponto
+const HIGH_VOLUME_THRESHOLD = 5000;
+
+// Datasets carregados pelo parâmetro src têm id fixo por URL, para manter configurações e anotações
+const DATA_SOURCE_PREFIX = 'source:';
+
+// Formato de data do último mapeamento confirmado
+const savedDateFormat = () => {
+  const saved = loadSavedMapping();
+  return (saved && saved.dateFormat) || 'auto';
+};
+
+// Processa um CSV sem a etapa de mapeamento, com o mapeamento salvo ou detectado; null quando faltam colunas
+const processWithDetectedMapping = (parsed) => {
+  const headers = parsed.meta.fields || [];
+  const { presetKey, mapping } = detectMapping(headers);
+  if (!isMappingComplete(mapping, headers)) return null;
+  return processRows(parsed, mapping, presetKey === 'saved' ? savedDateFormat() : 'auto');
+};
 
 const DynamicLeadTimeDashboard = () => {
-  const [data, setData] = useState([]);
-  const [itemTypes, setItemTypes] = useState([]);
-  const [typeFilters, setTypeFilters] = useState({});
-  const [showP85, setShowP85] = useState(true);
-  const [showP95, setShowP95] = useState(true);
+  const [loadedData, setLoadedData] = useState([]);
+  const [openItems, setOpenItems] = useState([]);
+  const [extraColumns, setExtraColumns] = useState([]);
+  const [groupBy, setGroupBy] = useState(DEFAULT_SETTINGS.groupBy);
+  const [groupFilters, setGroupFilters] = useState(DEFAULT_SETTINGS.groupFilters);
+  const [columnFilters, setColumnFilters] = useState(DEFAULT_SETTINGS.columnFilters);
+  const [percentileLines, setPercentileLines] = useState(DEFAULT_SETTINGS.percentileLines);
+  const [percentileMethod, setPercentileMethod] = useState(DEFAULT_SETTINGS.percentileMethod);
+  const [percentilesByGroup, setPercentilesByGroup] = useState(DEFAULT_SETTINGS.percentilesByGroup);
   const [loading, setLoading] = useState(false);
+  const [parseProgress, setParseProgress] = useState(null);
   const [error, setError] = useState(null);
   const [csvUploaded, setCsvUploaded] = useState(false);
   const [fileName, setFileName] = useState('');
+  const [pendingUpload, setPendingUpload] = useState(null);
+  const [pendingValidation, setPendingValidation] = useState(null);
+  const [view, setView] = useState(DEFAULT_SETTINGS.view);
+  const [dateRange, setDateRange] = useState(DEFAULT_SETTINGS.dateRange);
+  const [showTrend, setShowTrend] = useState(DEFAULT_SETTINGS.showTrend);
+  const [trendWindow, setTrendWindow] = useState(DEFAULT_SETTINGS.trendWindow);
+  const [leadTimeMode, setLeadTimeMode] = useState(DEFAULT_SETTINGS.leadTimeMode);
+  const [itemUrlTemplate, setItemUrlTemplate] = useState(DEFAULT_SETTINGS.itemUrlTemplate);
+  const [sleTargets, setSleTargets] = useState(DEFAULT_SETTINGS.sleTargets);
+  const [selectedIds, setSelectedIds] = useState(null);
+  const [highlightedId, setHighlightedId] = useState(null);
+  const [lasso, setLasso] = useState(null);
+  const [annotations, setAnnotations] = useState({});
+  const [businessConfig, setBusinessConfig] = useState(loadBusinessConfig);
+  const [comparisonFile, setComparisonFile] = useState(null);
+  const [report, setReport] = useState(null);
+  const [datasetId, setDatasetId] = useState(null);
+  const [datasets, setDatasets] = useState([]);
+  const chartRef = useRef(null);
 
-  // Cores predefinidas e automáticas
-  const getColorForType = (type, index) => {
-    const predefinedColors = {
-      'User Story': '#3b82f6',
-      'Bug': '#ef4444'
-    };
-    
-    if (predefinedColors[type]) {
-      return predefinedColors[type];
-    }
-    
-    // Cores automáticas para outros tipos
-    const autoColors = ['#10b981', '#f59e0b', '#8b5cf6', '#f97316', '#06b6d4', '#84cc16', '#ec4899', '#6366f1'];
-    return autoColors[index % autoColors.length];
-  };
+  // Estado vindo do link (compartilhado ou embed); os filtros da URL valem só para o primeiro dataset aberto
+  const [urlState] = useState(() => readUrlState(window.location.search, Object.keys(VIEWS)));
+  const pendingUrlSettings = useRef(urlState.settings);
+  // Ponto mais recente do laço e o frame que vai incluí-lo no traçado
+  const pendingLassoPoint = useRef(null);
+  const lassoFrame = useRef(null);
+  const { dataSource, embed } = urlState;
+  const [lastRefresh, setLastRefresh] = useState(null);
 
-  // Cores para backgrounds dos botões
-  const getBackgroundColorForType = (type, index) => {
-    const predefinedBgs = {
-      'User Story': { active: 'bg-blue-100 text-blue-800', inactive: 'bg-gray-100 text-gray-500' },
-      'Bug': { active: 'bg-red-100 text-red-800', inactive: 'bg-gray-100 text-gray-500' }
-    };
-    
-    if (predefinedBgs[type]) {
-      return predefinedBgs[type];
-    }
-    
-    // Backgrounds automáticos
-    const autoBgs = [
-      { active: 'bg-green-100 text-green-800', inactive: 'bg-gray-100 text-gray-500' },
-      { active: 'bg-yellow-100 text-yellow-800', inactive: 'bg-gray-100 text-gray-500' },
-      { active: 'bg-purple-100 text-purple-800', inactive: 'bg-gray-100 text-gray-500' },
-      { active: 'bg-orange-100 text-orange-800', inactive: 'bg-gray-100 text-gray-500' },
-      { active: 'bg-cyan-100 text-cyan-800', inactive: 'bg-gray-100 text-gray-500' },
-      { active: 'bg-lime-100 text-lime-800', inactive: 'bg-gray-100 text-gray-500' },
-      { active: 'bg-pink-100 text-pink-800', inactive: 'bg-gray-100 text-gray-500' },
-      { active: 'bg-indigo-100 text-indigo-800', inactive: 'bg-gray-100 text-gray-500' }
-    ];
-    
-    return autoBgs[index % autoBgs.length];
-  };
-
-  const handleFileUpload = async (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
+  // Vários arquivos podem ser enviados de uma vez; com append, eles são anexados ao dataset aberto
+  const handleFileUpload = async (event, append = false) => {
+    // Arquivos exportados por último têm os registros mais novos
+    const files = [...event.target.files].sort((a, b) => a.lastModified - b.lastModified);
+    if (files.length === 0) return;
 
     try {
       setLoading(true);
       setError(null);
       
-      // Validar extensão do arquivo
-      if (!file.name.toLowerCase().endsWith('.csv')) {
-        setError('❌ Arquivo inválido! Por favor, selecione apenas arquivos .csv');
+      // Validar extensão dos arquivos
+      const invalidFile = files.find(file => !file.name.toLowerCase().endsWith('.csv'));
+      if (invalidFile) {
+        setError(`❌ Arquivo inválido! Por favor, selecione apenas arquivos .csv\n\n${invalidFile.name}`);
         setLoading(false);
         return;
       }
       
-      // Salvar nome do arquivo
-      setFileName(file.name);
-      
-      const csvContent = await file.text();
-      await processCSV(csvContent);
-      setCsvUploaded(true);
+      // Um arquivo por vez no worker; o progresso considera o tamanho de todos os arquivos
+      const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+      const offsets = files.map((file, index) => files.slice(0, index).reduce((sum, previous) => sum + previous.size, 0));
+      const parsedFiles = [];
+      for (const [index, file] of files.entries()) {
+        const parsed = await parseCSVFile(file, (loaded) => setParseProgress({
+          fileName: file.name,
+          fraction: totalSize > 0 ? (offsets[index] + loaded) / totalSize : 1
+        }));
+        parsedFiles.push({ fileName: file.name, parsed });
+      }
+      const headers = parsedFiles[0].parsed.meta.fields || [];
+      const { presetKey, mapping } = detectMapping(headers);
+      const uploadName = files.length > 1 ? `${files[0].name} (+${files.length - 1})` : files[0].name;
+
+      // Abrir a etapa de mapeamento antes de processar; o mapeamento do primeiro arquivo vale para todos
+      setPendingUpload({ fileName: uploadName, files: parsedFiles, headers, presetKey, mapping, append });
     } catch (err) {
       console.error('Erro ao processar arquivo:', err);
       setError('Erro ao processar o arquivo: ' + err.message);
     } finally {
       setLoading(false);
+      setParseProgress(null);
+      event.target.value = '';
     }
   };
 
-  const processCSV = async (csvContent) => {
-    // Parse do CSV
-    const parsed = Papa.parse(csvContent, {
-      header: true,
-      dynamicTyping: true,
-      skipEmptyLines: true,
-      delimitersToGuess: [',', '\t', '|', ';']
+  const handleMappingConfirm = (mapping, dateFormat) => {
+    const { fileName: uploadedName, files, append } = pendingUpload;
+    setPendingUpload(null);
+
+    try {
+      setError(null);
+      saveMapping({ ...mapping, dateFormat });
+      loadFiles(append ? fileName : uploadedName, files, mapping, dateFormat, append);
+    } catch (err) {
+      console.error('Erro ao processar arquivo:', err);
+      setError('Erro ao processar o arquivo: ' + err.message);
+    }
+  };
+
+  // Valida e une os arquivos (e o dataset aberto, no append) e abre o relatório quando alguma linha
+  // foi rejeitada ou ignorada, algum ID teve registros divergentes ou não sobrou nenhum item
+  const loadFiles = (name, files, mapping, dateFormat, append) => {
+    const sources = files.map(({ fileName: sourceName, parsed }) => {
+      try {
+        return { fileName: sourceName, ...processRows(parsed, mapping, dateFormat) };
+      } catch (err) {
+        throw new Error(`${err.message}\n\nArquivo: ${sourceName}`);
+      }
     });
+    const current = { fileName, items: loadedData, openItems, extraColumns, issues: [], totalRows: 0 };
+    const result = mergeSources(append ? [current, ...sources] : sources);
 
-    if (parsed.errors.length > 0) {
-      console.warn('Avisos no parse CSV:', parsed.errors);
+    if (result.issues.length > 0 || result.items.length + result.openItems.length === 0) {
+      setPendingValidation({ fileName: name, result, append });
+      return;
     }
 
-    // Validar estrutura do CSV
-    const requiredColumns = ['ID', 'Tipo de Item', 'Commited Date', 'Closed Date'];
-    const headers = parsed.meta.fields || [];
-    
-    // Verificar se todas as colunas obrigatórias estão presentes
-    const missingColumns = requiredColumns.filter(col => !headers.includes(col));
-    
-    if (missingColumns.length > 0) {
-      throw new Error(
-        `❌ Estrutura do CSV inválida!\n\n` +
-        `Colunas obrigatórias faltando:\n${missingColumns.join(', ')}\n\n` +
-        `Estrutura esperada:\nID, Tipo de Item, Commited Date, Closed Date\n\n` +
-        `Estrutura encontrada:\n${headers.join(', ')}`
-      );
+    finishImport(name, result, append);
+  };
+
+  const finishImport = (name, result, append) => {
+    if (append) {
+      appendToDataset(result);
+    } else {
+      applyProcessedData(name, result);
     }
+  };
 
-    // Verificar se há dados válidos
-    const validRows = parsed.data.filter(row => 
-      row.ID && 
-      row['Tipo de Item'] && 
-      row['Commited Date'] && 
-      row['Closed Date']
-    );
+  // O append mantém o dataset aberto, com as mesmas configurações, e só troca os itens
+  const appendToDataset = async ({ items, openItems: inProgressData, extraColumns: columns }) => {
+    setLoadedData(items);
+    setOpenItems(inProgressData);
+    setExtraColumns(columns);
+    if (!datasetId) return;
 
-    if (validRows.length === 0) {
-      throw new Error(
-        `❌ Nenhum dado válido encontrado!\n\n` +
-        `Verifique se o CSV possui:\n` +
-        `• Pelo menos uma linha de dados\n` +
-        `• Valores preenchidos em todas as colunas obrigatórias\n` +
-        `• Datas no formato correto (YYYY-MM-DD)`
+    try {
+      await replaceDatasetContent(
+        datasetId,
+        { items, openItems: inProgressData, extraColumns: columns },
+        { rowCount: items.length + inProgressData.length }
       );
+    } catch (err) {
+      console.warn('Não foi possível salvar o dataset no navegador:', err);
     }
+  };
 
-    if (validRows.length < parsed.data.length) {
-      console.warn(`Atenção: ${parsed.data.length - validRows.length} linhas foram ignoradas por dados incompletos`);
+  // Novo upload vira um dataset salvo no navegador; se o IndexedDB falhar, os dados seguem só em memória
+  const applyProcessedData = async (name, { items, openItems: inProgressData, extraColumns: columns }) => {
+    const dataset = {
+      id: String(Date.now()),
+      name,
+      uploadedAt: new Date(),
+      rowCount: items.length + inProgressData.length,
+      settings: null,
+      content: { items, openItems: inProgressData, extraColumns: columns }
+    };
+
+    if (!embed) {
+      try {
+        await saveDataset(dataset);
+      } catch (err) {
+        console.warn('Não foi possível salvar o dataset no navegador:', err);
+      }
     }
+    showDataset(dataset);
+  };
 
-    // Processar dados e calcular lead time
-    const processedData = validRows.map(row => {
-      const id = String(row.ID).trim();
-      const type = String(row['Tipo de Item']).trim();
-      
-      // Validar e converter datas
-      const commitedDate = new Date(String(row['Commited Date']).trim());
-      const closedDate = new Date(String(row['Closed Date']).trim());
-      
-      // Verificar se as datas são válidas
-      if (isNaN(commitedDate.getTime()) || isNaN(closedDate.getTime())) {
-        throw new Error(
-          `❌ Data inválida encontrada!\n\n` +
-          `Linha com ID: ${id}\n` +
-          `Commited Date: ${row['Commited Date']}\n` +
-          `Closed Date: ${row['Closed Date']}\n\n` +
-          `Use o formato: YYYY-MM-DD (ex: 2025-01-15)`
-        );
+  const applySettings = (settings) => {
+    setView(settings.view);
+    setGroupBy(settings.groupBy);
+    setGroupFilters(settings.groupFilters);
+    setColumnFilters(settings.columnFilters);
+    setPercentileLines(settings.percentileLines);
+    setPercentileMethod(settings.percentileMethod);
+    setPercentilesByGroup(settings.percentilesByGroup);
+    setDateRange(settings.dateRange);
+    setShowTrend(settings.showTrend);
+    setTrendWindow(settings.trendWindow);
+    setLeadTimeMode(settings.leadTimeMode);
+    setItemUrlTemplate(settings.itemUrlTemplate);
+    setSleTargets(settings.sleTargets);
+  };
+
+  const showDataset = ({ id, name, settings, annotations: savedAnnotations, content }) => {
+    setLoadedData(content.items);
+    setOpenItems(content.openItems);
+    setExtraColumns(content.extraColumns);
+    applySettings(applyUrlSettings({ ...DEFAULT_SETTINGS, ...settings }, pendingUrlSettings.current));
+    pendingUrlSettings.current = null;
+    setSelectedIds(null);
+    setHighlightedId(null);
+    setAnnotations(savedAnnotations || {});
+    setComparisonFile(null);
+    setDatasetId(id);
+    if (!embed) saveLastDatasetId(id);
+    setFileName(name);
+    setCsvUploaded(true);
+  };
+
+  const openDataset = async (id) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const dataset = await getDataset(id);
+      if (!dataset) {
+        setError('❌ Dataset não encontrado no navegador.');
+        return;
       }
-      
-      // Verificar se Closed Date >= Commited Date
-      if (closedDate < commitedDate) {
-        throw new Error(
-          `❌ Data inconsistente encontrada!\n\n` +
-          `Linha com ID: ${id}\n` +
-          `Closed Date (${row['Closed Date']}) é anterior ao Commited Date (${row['Commited Date']})\n\n` +
-          `A data de conclusão deve ser igual ou posterior à data de início.`
-        );
+      showDataset(dataset);
+    } catch (err) {
+      console.error('Erro ao abrir dataset:', err);
+      setError('Erro ao abrir o dataset: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const refreshDatasets = () => {
+    listDatasets()
+      .then(setDatasets)
+      .catch(() => setDatasets([]));
+  };
+
+  const renameDataset = async (id, name) => {
+    try {
+      await updateDataset(id, { name });
+      refreshDatasets();
+    } catch (err) {
+      setError('Erro ao renomear o dataset: ' + err.message);
+    }
+  };
+
+  const removeDataset = async (id) => {
+    try {
+      await deleteDataset(id);
+      if (loadLastDatasetId() === id) saveLastDatasetId(null);
+      refreshDatasets();
+    } catch (err) {
+      setError('Erro ao excluir o dataset: ' + err.message);
+    }
+  };
+
+  // Fonte de dados da URL: baixada a cada abertura da página, no mesmo dataset salvo
+  const loadDataSource = async (url) => {
+    const name = url.split('?')[0].split('/').pop() || url;
+
+    try {
+      setLoading(true);
+      setError(null);
+      const parsed = await fetchCSV(url);
+      const result = processWithDetectedMapping(parsed);
+
+      // Colunas não reconhecidas passam pela etapa de mapeamento; confirmado, o mapeamento salvo vale nas próximas vezes
+      if (!result) {
+        const headers = parsed.meta.fields || [];
+        const { presetKey, mapping } = detectMapping(headers);
+        setPendingUpload({ fileName: name, files: [{ fileName: name, parsed }], headers, presetKey, mapping, append: false });
+        return;
+      }
+      if (result.issues.length > 0) {
+        console.warn(`Fonte de dados: ${result.issues.length} linhas rejeitadas ou ignoradas`);
       }
-      
-      // Calcular lead time: (Closed Date - Commited Date) + 1
-      const timeDiff = closedDate.getTime() - commitedDate.getTime();
-      const leadTime = Math.floor(timeDiff / (1000 * 60 * 60 * 24)) + 1;
-      
-      return {
-        id,
-        type,
-        commitedDate,
-        closedDate,
-        leadTime,
-        dateFormatted: closedDate.toLocaleDateString('pt-BR'),
-        timestamp: closedDate.getTime()
-      };
-    }).sort((a, b) => a.timestamp - b.timestamp);
-
-    // Extrair tipos únicos
-    const uniqueTypes = [...new Set(processedData.map(item => item.type))];
-    
-    // Inicializar filtros (todos ativos por padrão)
-    const initialFilters = {};
-    uniqueTypes.forEach(type => {
-      initialFilters[type] = true;
-    });
 
-    setData(processedData);
-    setItemTypes(uniqueTypes);
-    setTypeFilters(initialFilters);
+      const id = `${DATA_SOURCE_PREFIX}${url}`;
+      const saved = await getDataset(id).catch(() => null);
+      const dataset = {
+        ...(saved || { id, name, settings: null }),
+        uploadedAt: new Date(),
+        rowCount: result.items.length + result.openItems.length,
+        content: { items: result.items, openItems: result.openItems, extraColumns: result.extraColumns }
+      };
+      // O embed é só leitura: não salva o dataset nem aparece na lista de quem abre a página
+      if (!embed) {
+        try {
+          await saveDataset(dataset);
+        } catch (err) {
+          console.warn('Não foi possível salvar o dataset no navegador:', err);
+        }
+      }
+      showDataset(dataset);
+      setLastRefresh(new Date());
+    } catch (err) {
+      console.error('Erro ao carregar a fonte de dados:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
   };
 
   useEffect(() => {
-    // Tentar carregar arquivo automático primeiro, senão mostrar upload
+    if (dataSource) {
+      loadDataSource(dataSource.url);
+      return;
+    }
+
+    // Reabrir o último dataset usado, senão mostrar upload
     const tryAutoLoad = async () => {
+      const lastId = loadLastDatasetId();
+      if (!lastId) return;
+
       try {
-        const csvContent = await window.fs.readFile('BaseClaude.csv', { encoding: 'utf8' });
-        setFileName('BaseClaude.csv');
-        await processCSV(csvContent);
-        setCsvUploaded(true);
+        const dataset = await getDataset(lastId);
+        if (dataset) showDataset(dataset);
       } catch (err) {
-        // Se não conseguir carregar automaticamente, mostrar interface de upload
-        console.log('Arquivo não encontrado automaticamente, esperando upload do usuário');
+        // Se não conseguir reabrir, mostrar interface de upload
+        console.log('Último dataset indisponível, esperando upload do usuário');
       }
     };
 
     tryAutoLoad();
   }, []);
 
+  // A lista de datasets salvos é recarregada sempre que a tela inicial aparece
+  useEffect(() => {
+    if (csvUploaded) return;
+    listDatasets()
+      .then(setDatasets)
+      .catch(() => setDatasets([]));
+  }, [csvUploaded]);
+
+  // Filtros e opções de visualização acompanham o dataset aberto; o embed é só leitura
+  useEffect(() => {
+    if (!datasetId || embed) return;
+    const settings = {
+      view,
+      groupBy,
+      groupFilters,
+      columnFilters,
+      percentileLines,
+      percentileMethod,
+      percentilesByGroup,
+      dateRange,
+      showTrend,
+      trendWindow,
+      leadTimeMode,
+      itemUrlTemplate,
+      sleTargets
+    };
+    updateDataset(datasetId, { settings }).catch(err => {
+      console.warn('Não foi possível salvar as configurações do dataset:', err);
+    });
+  }, [
+    datasetId, embed, view, groupBy, groupFilters, columnFilters, percentileLines, percentileMethod,
+    percentilesByGroup, dateRange, showTrend, trendWindow, leadTimeMode, itemUrlTemplate, sleTargets
+  ]);
+
+  // Auto-refresh da fonte de dados: os itens são trocados no dataset aberto, mantendo filtros e anotações.
+  // A próxima atualização só é agendada quando a anterior termina, para que downloads lentos não se sobreponham
+  useEffect(() => {
+    if (!dataSource || !dataSource.refreshMinutes || !datasetId) return undefined;
+
+    let timer = null;
+    let cancelled = false;
+    const refresh = async () => {
+      try {
+        const result = processWithDetectedMapping(await fetchCSV(dataSource.url));
+        if (cancelled) return;
+        if (!result) throw new Error('Colunas obrigatórias não encontradas');
+
+        const content = { items: result.items, openItems: result.openItems, extraColumns: result.extraColumns };
+        setLoadedData(content.items);
+        setOpenItems(content.openItems);
+        setExtraColumns(content.extraColumns);
+        setLastRefresh(new Date());
+        if (!embed) {
+          await replaceDatasetContent(datasetId, content, { rowCount: content.items.length + content.openItems.length });
+        }
+      } catch (err) {
+        console.warn('Não foi possível atualizar a fonte de dados:', err);
+      }
+      if (!cancelled) timer = window.setTimeout(refresh, dataSource.refreshMinutes * 60 * 1000);
+    };
+    timer = window.setTimeout(refresh, dataSource.refreshMinutes * 60 * 1000);
+
+    return () => {
+      cancelled = true;
+      window.clearTimeout(timer);
+    };
+  }, [dataSource, datasetId, embed]);
+
+  // A URL acompanha a tela, para que o link reproduza exatamente o que está sendo visto
+  useEffect(() => {
+    const settings = csvUploaded ? { view, groupBy, groupFilters, percentileLines, dateRange } : null;
+    const search = buildUrlSearch(settings, urlState);
+    window.history.replaceState(null, '', `${window.location.pathname}${search}${window.location.hash}`);
+  }, [csvUploaded, view, groupBy, groupFilters, percentileLines, dateRange, urlState]);
+
+  // Anotações também são salvas por dataset, exceto no embed
+  useEffect(() => {
+    if (!datasetId || embed) return;
+    updateDataset(datasetId, { annotations }).catch(err => {
+      console.warn('Não foi possível salvar as anotações do dataset:', err);
+    });
+  }, [datasetId, embed, annotations]);
+
+  // Segundo arquivo da comparação, processado com o mapeamento salvo ou detectado automaticamente
+  const loadComparisonFile = async (file) => {
+    if (!file.name.toLowerCase().endsWith('.csv')) {
+      throw new Error('❌ Arquivo inválido! Por favor, selecione apenas arquivos .csv');
+    }
+
+    const result = processWithDetectedMapping(await parseCSVFile(file));
+    if (!result) {
+      throw new Error('❌ Colunas obrigatórias não encontradas. O arquivo precisa ter as mesmas colunas do dataset atual.');
+    }
+    if (result.items.length === 0) {
+      throw new Error('❌ Nenhum item concluído válido no arquivo.');
+    }
+
+    setComparisonFile({ fileName: file.name, items: result.items, skipped: result.issues.length });
+  };
+
+  const updateBusinessConfig = (config) => {
+    setBusinessConfig(config);
+    saveBusinessConfig(config);
+  };
+
+  // Contagem de dias do lead time conforme o modo (corridos ou úteis)
+  const countDays = useMemo(
+    () => createDayCounter(leadTimeMode, businessConfig),
+    [leadTimeMode, businessConfig]
+  );
+
+  // Todos os gráficos, percentis e cards usam o lead time do modo selecionado e o grupo escolhido
+  const data = useMemo(
+    () => deriveItems(loadedData, groupBy, leadTimeMode, countDays, annotations),
+    [loadedData, groupBy, leadTimeMode, countDays, annotations]
+  );
+  const comparisonData = useMemo(
+    () => (comparisonFile ? deriveItems(comparisonFile.items, groupBy, leadTimeMode, countDays, {}) : []),
+    [comparisonFile, groupBy, leadTimeMode, countDays]
+  );
+  const groupedOpenItems = useMemo(
+    () => openItems.map(item => ({ ...item, group: getGroupValue(item, groupBy) })),
+    [openItems, groupBy]
+  );
+
+  // Grupos na ordem em que aparecem, incluindo os que só têm itens em andamento
+  const groups = useMemo(
+    () => [...new Set([...data, ...groupedOpenItems].map(item => item.group))],
+    [data, groupedOpenItems]
+  );
+  const isGroupVisible = useCallback((group) => groupFilters[group] !== false, [groupFilters]);
+  const unit = leadTimeMode === 'business' ? 'dias úteis' : 'dias';
+
   // Formatar datas para o eixo X
   const formatXAxisDate = (tickItem) => {
     const date = new Date(tickItem);
@@ -220,60 +559,504 @@ const DynamicLeadTimeDashboard = () => {
     return `${month}/${year}`;
   };
 
-  // Filtrar dados baseado nos filtros ativos
-  const filteredData = data.filter(item => typeFilters[item.type]);
-
-  // Calcular percentis baseado nos dados filtrados
-  const filteredLeadTimes = filteredData.map(item => item.leadTime).sort((a, b) => a - b);
-  const p85Index = Math.floor(filteredLeadTimes.length * 0.85);
-  const p95Index = Math.floor(filteredLeadTimes.length * 0.95);
-  const p85Value = filteredLeadTimes.length > 0 ? filteredLeadTimes[p85Index] : 0;
-  const p95Value = filteredLeadTimes.length > 0 ? filteredLeadTimes[p95Index] : 0;
-
-  // Agrupar dados por tipo para o scatter
-  const dataByType = itemTypes.map((type, index) => ({
-    type,
-    data: filteredData.filter(item => item.type === type),
-    color: getColorForType(type, index),
-    visible: typeFilters[type]
+  // Filtrar dados pelos filtros de coluna, pelo período selecionado e pelos grupos visíveis. Tudo que deriva
+  // dos itens é memoizado: com dezenas de milhares de linhas, recalcular a cada render trava a interface
+  const scopedData = useMemo(
+    () => data.filter(item => matchesColumnFilters(item, columnFilters)),
+    [data, columnFilters]
+  );
+  const scopedOpenItems = useMemo(
+    () => groupedOpenItems.filter(item => matchesColumnFilters(item, columnFilters)),
+    [groupedOpenItems, columnFilters]
+  );
+  const visibleScopedData = useMemo(
+    () => scopedData.filter(item => isGroupVisible(item.group)),
+    [scopedData, isGroupVisible]
+  );
+  const rangeData = useMemo(() => scopedData.filter(item => isInRange(item, dateRange)), [scopedData, dateRange]);
+  const filteredData = useMemo(() => rangeData.filter(item => isGroupVisible(item.group)), [rangeData, isGroupVisible]);
+  const filteredComparisonData = useMemo(
+    () => comparisonData.filter(item =>
+      matchesColumnFilters(item, columnFilters) && isInRange(item, dateRange) && isGroupVisible(item.group)
+    ),
+    [comparisonData, columnFilters, dateRange, isGroupVisible]
+  );
+  const rangePresets = useMemo(() => buildRangePresets(data), [data]);
+
+  // Itens no período por grupo, para os botões de filtro
+  const rangeCountByGroup = useMemo(() => {
+    const counts = {};
+    rangeData.forEach(item => {
+      counts[item.group] = (counts[item.group] || 0) + 1;
+    });
+    return counts;
+  }, [rangeData]);
+
+  // Com período selecionado, o eixo X cobre a janela inteira e não só os pontos existentes
+  const xDomain = [
+    dateRange.start ? fromInputDate(dateRange.start).getTime() : 'dataMin',
+    dateRange.end ? addDays(fromInputDate(dateRange.end), 1).getTime() - 1 : 'dataMax'
+  ];
+
+  // Um tick por mês no período selecionado (ou no período dos dados)
+  const xTicks = useMemo(() => {
+    if (filteredData.length === 0) return [];
+
+    const timestamps = filteredData.map(item => item.timestamp);
+    const minDate = new Date(dateRange.start ? fromInputDate(dateRange.start) : minOf(timestamps));
+    const maxDate = new Date(dateRange.end ? fromInputDate(dateRange.end) : maxOf(timestamps));
+
+    const ticks = [];
+    const current = new Date(minDate.getFullYear(), minDate.getMonth(), 1);
+    while (current <= maxDate) {
+      ticks.push(current.getTime());
+      current.setMonth(current.getMonth() + 1);
+    }
+    return ticks;
+  }, [filteredData, dateRange]);
+
+  // Calcular percentis baseado nos dados filtrados, sem os itens excluídos por anotação
+  const percentileValues = useMemo(() => percentileLines.map(line => line.value), [percentileLines]);
+  const filteredLeadTimes = useMemo(
+    () => filteredData
+      .filter(item => !isExcluded(item))
+      .map(item => item.leadTime)
+      .sort((a, b) => a - b),
+    [filteredData]
+  );
+  const overallPercentiles = useMemo(
+    () => computePercentiles(filteredLeadTimes, percentileValues, percentileMethod),
+    [filteredLeadTimes, percentileValues, percentileMethod]
+  );
+
+  // Faixas históricas do Aging WIP
+  const agingBands = useMemo(
+    () => (filteredLeadTimes.length > 0 ? computePercentiles(filteredLeadTimes, [50, 85, 95], percentileMethod) : null),
+    [filteredLeadTimes, percentileMethod]
+  );
+
+  const styledPercentileLines = percentileLines.map((line, index) => ({
+    ...line,
+    color: getColorForPercentile(line.value, index),
+    dash: getDashForPercentile(index)
   }));
 
-  // Toggle de filtro por tipo
-  const toggleTypeFilter = (type) => {
-    setTypeFilters(prev => ({
+  // Agrupar dados por grupo para o scatter, numa única passada pelos itens
+  const dataByGroup = useMemo(() => {
+    const itemsByGroup = {};
+    groups.forEach(group => {
+      itemsByGroup[group] = [];
+    });
+    filteredData.forEach(item => itemsByGroup[item.group].push(item));
+
+    return groups.map((group, index) => {
+      const groupData = itemsByGroup[group];
+      const groupLeadTimes = groupData
+        .filter(item => !isExcluded(item))
+        .map(item => item.leadTime)
+        .sort((a, b) => a - b);
+
+      return {
+        group,
+        data: groupData,
+        color: getColorForGroup(group, index),
+        visible: isGroupVisible(group),
+        leadTimes: groupLeadTimes,
+        percentiles: computePercentiles(groupLeadTimes, percentileValues, percentileMethod)
+      };
+    });
+  }, [groups, filteredData, isGroupVisible, percentileValues, percentileMethod]);
+  const visibleGroups = useMemo(
+    () => dataByGroup.filter(({ visible }) => visible).map(({ group, color }) => ({ group, color })),
+    [dataByGroup]
+  );
+  const plottedGroups = useMemo(
+    () => dataByGroup.filter(({ visible, data: groupData }) => visible && groupData.length > 0),
+    [dataByGroup]
+  );
+
+  // Linhas de referência: percentis gerais ou um conjunto por grupo visível, na cor do grupo
+  const referenceLines = filteredData.length === 0 ? [] : percentilesByGroup
+    ? plottedGroups.flatMap(({ group, color, percentiles }) => styledPercentileLines
+      .filter(line => line.visible)
+      .map(line => ({
+        key: `${group}-${line.value}`,
+        value: percentiles[line.value],
+        color,
+        dash: line.dash,
+        label: `P${line.value} ${group}: ${formatNumber(percentiles[line.value])} ${unit}`
+      })))
+    : styledPercentileLines
+      .filter(line => line.visible)
+      .map(line => ({
+        key: String(line.value),
+        value: overallPercentiles[line.value],
+        color: line.color,
+        dash: '5 5',
+        label: `P${line.value}: ${formatNumber(overallPercentiles[line.value])} ${unit}`
+      }));
+
+  // Prazos dos SLEs definidos para os grupos visíveis, na cor do grupo
+  const sleLines = plottedGroups
+    .filter(({ group }) => sleTargets[group])
+    .map(({ group, color }) => ({
+      key: `sle-${group}`,
+      value: sleTargets[group].days,
+      color,
+      label: `SLE ${group}: ${sleTargets[group].percentile}% em ${sleTargets[group].days} ${unit}`
+    }));
+
+  // Tendência de percentis móveis; a janela pode começar antes do período selecionado
+  const trendLines = useMemo(() => {
+    if (!showTrend) return [];
+
+    const points = buildRollingPercentiles(
+      visibleScopedData.filter(item => !isExcluded(item)),
+      trendWindow,
+      percentileMethod
+    ).filter(point => isInRange({ closedDate: point.date }, dateRange));
+
+    return TREND_PERCENTILES.map((value, index) => ({
+      value,
+      color: getColorForPercentile(value, index),
+      data: points.map(point => ({
+        timestamp: point.timestamp,
+        leadTime: point.percentiles[value],
+        trend: value,
+        date: point.date,
+        count: point.count
+      }))
+    }));
+  }, [showTrend, visibleScopedData, trendWindow, percentileMethod, dateRange]);
+
+  // Toggle de filtro por grupo
+  const toggleGroupFilter = (group) => {
+    setGroupFilters(prev => ({
       ...prev,
-      [type]: !prev[type]
+      [group]: prev[group] === false
     }));
   };
 
-  // Tooltip customizado
-  const CustomTooltip = ({ active, payload }) => {
-    if (active && payload && payload.length) {
-      const data = payload[0].payload;
-      if (loading) {
+  // Trocar o agrupamento reinicia a visibilidade dos grupos
+  // De volta ao agrupamento por tipo, o filtro de tipo dá lugar aos botões de grupo
+  const changeGroupBy = (column) => {
+    setGroupBy(column);
+    setGroupFilters({});
+    if (column === TYPE_GROUP && columnFilters[TYPE_GROUP]) {
+      const { [TYPE_GROUP]: typeFilter, ...rest } = columnFilters;
+      setColumnFilters(rest);
+    }
+  };
+
+  // Seleção por laço no scatter: os pontos do traçado guardam posição em pixels (para desenhar) e em dados
+  const lassoPoint = (state) => ({ x: state.chartX, y: state.chartY, xValue: state.xValue, yValue: state.yValue });
+
+  // O traçado é atualizado no máximo uma vez por frame, com o ponto mais recente do mouse
+  const extendLasso = (state) => {
+    if (!lasso || !state) return;
+    pendingLassoPoint.current = lassoPoint(state);
+    if (lassoFrame.current) return;
+
+    lassoFrame.current = requestAnimationFrame(() => {
+      lassoFrame.current = null;
+      const point = pendingLassoPoint.current;
+      setLasso(current => {
+        if (!current) return current;
+        const last = current[current.length - 1];
+        if (Math.hypot(point.x - last.x, point.y - last.y) < LASSO_MIN_STEP) return current;
+        return [...current, point];
+      });
+    });
+  };
+
+  const cancelLasso = () => {
+    cancelAnimationFrame(lassoFrame.current);
+    lassoFrame.current = null;
+    setLasso(null);
+  };
+
+  // Um clique simples não forma laço; o clique no ponto é tratado pelo próprio Scatter
+  const finishLasso = () => {
+    if (lasso && lasso.length >= 3) {
+      const polygon = lasso.map(point => [point.xValue, point.yValue]);
+      setSelectedIds(filteredData
+        .filter(item => isInsidePolygon([item.timestamp, item.leadTime], polygon))
+        .map(item => item.id));
+    }
+    cancelLasso();
+  };
+
+  const selectedSet = useMemo(() => (selectedIds ? new Set(selectedIds) : null), [selectedIds]);
+
+  // Estilo de cada ponto do scatter, no SVG e no canvas: excluídos vazados, selecionados com contorno
+  // e violações do SLE com anel vermelho
+  const pointStyle = useCallback((item, group, color) => ({
+    fill: isExcluded(item) ? '#ffffff' : color,
+    stroke: selectedSet && selectedSet.has(item.id) ? '#1f2937' : isExcluded(item) ? color : null,
+    breaching: isBreaching(item, sleTargets[group])
+  }), [selectedSet, sleTargets]);
+
+  // No modo de alto volume os eixos se apoiam em dois pontos invisíveis nos extremos dos dados,
+  // e a legenda dos grupos é montada à mão
+  const highVolume = filteredData.length > HIGH_VOLUME_THRESHOLD;
+  const domainAnchors = useMemo(() => {
+    if (filteredData.length <= HIGH_VOLUME_THRESHOLD) return [];
+    const timestamps = filteredData.map(item => item.timestamp);
+    return [
+      { timestamp: minOf(timestamps), leadTime: 0 },
+      { timestamp: maxOf(timestamps), leadTime: maxOf(filteredData.map(item => item.leadTime)) }
+    ];
+  }, [filteredData]);
+  const highVolumeLegend = [
+    ...plottedGroups.map(({ group, color }) => ({ id: group, value: group, type: 'circle', color })),
+    ...trendLines.map(line => ({
+      id: `trend-${line.value}`,
+      value: `P${line.value} móvel (${trendWindow}d)`,
+      type: 'line',
+      color: line.color
+    }))
+  ];
+  const highlightedItem = highlightedId ? filteredData.find(item => item.id === highlightedId) : null;
+
+  // Anotação salva (ou removida) para o item destacado
+  const saveAnnotation = (id, annotation) => {
+    const { [id]: previous, ...rest } = annotations;
+    setAnnotations(annotation ? { ...rest, [id]: annotation } : rest);
+    setHighlightedId(null);
+  };
+
+  // Cards de resumo por grupo e geral, usados no dashboard e no relatório; memorizados para que o laço
+  // e outras interações no gráfico não recalculem as estatísticas a cada render
+  const summaryCards = useMemo(() => {
+    // Estatísticas exibidas nos cards de resumo
+    const renderStats = (stats) => (
+      <>
+        <p>Mediana: {formatNumber(stats.median)} {unit}</p>
+        <p>Média: {formatNumber(stats.mean)} {unit}</p>
+        <p>Desvio padrão: {formatNumber(stats.stdDev)} {unit}</p>
+        <p className={stats.fatTail ? 'text-red-700' : ''}>
+          Cauda (P98/P50): {formatNumber(stats.tailRatio)}{stats.fatTail ? ' · longa' : ''}
+        </p>
+      </>
+    );
+
+    const renderPercentiles = (values) => percentileValues.map(value => (
+      <p key={value}>P{value}: {formatNumber(values[value])} {unit}</p>
+    ));
+
+    // Nos cards, as estatísticas principais ignoram os itens excluídos; este bloco mostra como ficariam com eles
+    const renderWithExcluded = (items) => {
+      const excludedCount = items.filter(isExcluded).length;
+      if (excludedCount === 0) return null;
+
+      const leadTimes = items.map(item => item.leadTime).sort((a, b) => a - b);
+      const stats = summarize(leadTimes);
+      return (
+        <div className="mt-2 pt-2 border-t border-gray-200 text-gray-500">
+          <p className="font-semibold">Incluindo {excludedCount} excluídos:</p>
+          <p>Mediana: {formatNumber(stats.median)} · Média: {formatNumber(stats.mean)} {unit}</p>
+          {renderPercentiles(computePercentiles(leadTimes, percentileValues, percentileMethod))}
+        </div>
+      );
+    };
+
+    // Cumprimento do SLE do grupo, sem os itens excluídos por anotação
+    const renderSle = (items, target) => {
+      const { withinRate, met } = summarizeSle(items.filter(item => !isExcluded(item)), target);
+      if (withinRate === null) return null;
+      return (
+        <p className={met ? 'text-green-700' : 'text-red-700'}>
+          SLE {target.percentile}% em {target.days} {unit}: {formatNumber(withinRate)}% no prazo {met ? '✅' : '❌'}
+        </p>
+      );
+    };
+
     return (
-      <div className="w-full h-screen bg-gray-50 flex items-center justify-center">
-        <div className="text-center">
-          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500 mx-auto mb-4"></div>
-          <p className="text-gray-600">Processando CSV...</p>
+      <div className="mt-6 grid grid-cols-1 md:grid-cols-auto gap-4 text-sm" style={{gridTemplateColumns: `repeat(${Math.min(groups.length + 1, 5)}, minmax(200px, 1fr))`}}>
+        {dataByGroup.map(({ group, data: groupData, color, visible, leadTimes, percentiles }) => {
+          if (!visible || groupData.length === 0) return null;
+      
+          const groupStats = summarize(leadTimes);
+      
+          return (
+            <div key={group} className="p-4 rounded-lg border" style={{backgroundColor: `${color}10`, borderColor: `${color}40`}}>
+              <h3 className="font-semibold mb-2" style={{color: color}}>{group}</h3>
+              {renderStats(groupStats)}
+              {renderPercentiles(percentiles)}
+              <p>Total: {groupData.length} itens</p>
+              {sleTargets[group] && renderSle(groupData, sleTargets[group])}
+              {renderWithExcluded(groupData)}
+            </div>
+          );
+        })}
+      
+        <div className="bg-gray-50 p-4 rounded-lg border border-gray-200">
+          <h3 className="font-semibold text-gray-800 mb-2">Resumo Geral</h3>
+          {filteredData.length > 0 && renderStats(summarize(filteredLeadTimes))}
+          {filteredData.length > 0 && renderPercentiles(overallPercentiles)}
+          <p>Total: {rangeData.length} itens</p>
+          <p>{groupBy === TYPE_GROUP ? 'Tipos' : groupBy}: {groups.length}</p>
+          {renderWithExcluded(filteredData)}
+          {countBySource(rangeData, fileName || 'Arquivo CSV').map(({ fileName: source, count }) => (
+            <p key={source}>Fonte: {source} ({count} itens)</p>
+          ))}
         </div>
       </div>
     );
-  }
+  }, [
+    dataByGroup, groups, groupBy, filteredData, filteredLeadTimes, overallPercentiles, rangeData, fileName,
+    percentileValues, percentileMethod, sleTargets, unit
+  ]);
 
-  return (
+  // Tooltip customizado
+  const CustomTooltip = ({ active, payload }) => {
+    if (active && payload && payload.length) {
+      const data = payload[0].payload;
+      
+      // Pontos da tendência móvel
+      if (data.trend) {
+        return (
+          <div className="bg-white p-3 border rounded shadow-lg">
+            <p className="font-semibold">P{data.trend} móvel ({trendWindow} dias)</p>
+            <p className="text-sm">Data: {formatDate(data.date)}</p>
+            <p className="text-sm">Lead Time: {formatNumber(data.leadTime)} {unit}</p>
+            <p className="text-sm">Itens na janela: {data.count}</p>
+          </div>
+        );
+      }
+      
+      return (
         <div className="bg-white p-3 border rounded shadow-lg">
           <p className="font-semibold">{data.id}</p>
           <p className="text-sm">Tipo: {data.type}</p>
-          <p className="text-sm">Commited: {data.commitedDate.toLocaleDateString('pt-BR')}</p>
+          {groupBy !== TYPE_GROUP && <p className="text-sm">{groupBy}: {data.group}</p>}
+          <p className="text-sm">Commited: {formatDate(data.commitedDate)}</p>
           <p className="text-sm">Closed: {data.dateFormatted}</p>
-          <p className="text-sm">Lead Time: {data.leadTime} dias</p>
+          <p className="text-sm">Lead Time: {data.leadTime} {unit}</p>
+          {isBreaching(data, sleTargets[data.group]) && (
+            <p className="text-sm text-red-700">⚠️ Acima do SLE ({sleTargets[data.group].days} {unit})</p>
+          )}
+          {data.annotation && (
+            <p className="text-sm text-yellow-800 mt-1">
+              📝 {ANNOTATION_CATEGORIES[data.annotation.category]}
+              {data.annotation.reason && `: ${data.annotation.reason}`}
+              {data.annotation.excluded && ' (excluído das estatísticas)'}
+            </p>
+          )}
         </div>
       );
     }
     return null;
   };
 
+  // Exportações respeitam os filtros e o período selecionados
+  const exportBaseName = `${(fileName || 'leadtime').replace(/\.csv$/i, '')}-${view}`;
+
+  const exportCsv = () => {
+    downloadFile(itemsToCSV(filteredData, extraColumns), `${exportBaseName}-itens.csv`, 'text/csv;charset=utf-8');
+  };
+
+  const exportAnnotations = () => {
+    downloadFile(annotationsToCSV(annotations, data), `${exportBaseName}-anotacoes.csv`, 'text/csv;charset=utf-8');
+  };
+
+  const openReport = () => {
+    const svg = findChartSvg(chartRef.current);
+    setReport({ chartSvg: svg ? serializeChart(svg) : null });
+  };
+
+  if (report) {
+    const activeColumnFilters = Object.entries(columnFilters).filter(([, { values }]) => values.length > 0);
+    const details = [
+      { label: 'Período', value: formatRange(dateRange) },
+      {
+        label: groupBy === TYPE_GROUP ? 'Tipos' : groupBy,
+        value: dataByGroup.filter(({ visible }) => visible).map(({ group }) => group).join(', ') || 'nenhum'
+      },
+      ...activeColumnFilters.map(([column, { values }]) => ({ label: columnLabel(column), value: values.join(', ') })),
+      { label: 'Lead time', value: unit },
+      { label: 'Percentil', value: PERCENTILE_METHODS[percentileMethod] },
+      { label: 'Itens', value: filteredData.length }
+    ];
+
+    return (
+      <ReportView
+        title={VIEWS[view].title}
+        fileName={fileName || 'Arquivo CSV'}
+        chartSvg={report.chartSvg}
+        details={details}
+        percentiles={filteredData.length > 0
+          ? percentileValues.map(value => `P${value}: ${formatNumber(overallPercentiles[value])} ${unit}`)
+          : []}
+        onClose={() => setReport(null)}
+      >
+        {summaryCards}
+      </ReportView>
+    );
+  }
+
+  if (pendingUpload) {
+    return (
+      <ColumnMappingStep
+        headers={pendingUpload.headers}
+        rows={pendingUpload.files[0].parsed.data}
+        fileName={pendingUpload.fileName}
+        initialMapping={pendingUpload.mapping}
+        initialPreset={pendingUpload.presetKey}
+        initialDateFormat={savedDateFormat()}
+        onConfirm={handleMappingConfirm}
+        onCancel={() => setPendingUpload(null)}
+      />
+    );
+  }
+
+  if (pendingValidation) {
+    return (
+      <ValidationReport
+        fileName={pendingValidation.fileName}
+        result={pendingValidation.result}
+        onContinue={() => {
+          finishImport(pendingValidation.fileName, pendingValidation.result, pendingValidation.append);
+          setPendingValidation(null);
+        }}
+        onCancel={() => setPendingValidation(null)}
+      />
+    );
+  }
+
+  // Tela de carregamento do upload e da fonte de dados, com o progresso do parse no worker
+  if (loading) {
+    return (
+      <div className="w-full h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500 mx-auto mb-4"></div>
+          <p className="text-gray-600">Processando CSV...</p>
+          {parseProgress && (
+            <div className="mt-3 w-64 mx-auto text-sm text-gray-500">
+              <div className="h-2 bg-gray-200 rounded overflow-hidden mb-1">
+                <div className="h-full bg-blue-500" style={{ width: `${Math.round(parseProgress.fraction * 100)}%` }}></div>
+              </div>
+              <p className="truncate">{parseProgress.fileName} · {Math.round(parseProgress.fraction * 100)}%</p>
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  // No embed não há upload: sem fonte de dados, só o aviso (ou o erro do carregamento)
+  if (embed && !csvUploaded) {
+    return (
+      <div className="w-full h-screen flex items-center justify-center p-6 text-sm text-gray-600">
+        {error ? (
+          <pre className="whitespace-pre-wrap text-red-700">{error}</pre>
+        ) : (
+          <p>Nenhum dado para exibir. Informe a fonte de dados com o parâmetro <code>src</code> da URL.</p>
+        )}
+      </div>
+    );
+  }
+
   if (!csvUploaded && !loading) {
     return (
       <div className="w-full h-screen bg-gray-50 flex items-center justify-center">
@@ -284,14 +1067,16 @@ const DynamicLeadTimeDashboard = () => {
             Faça upload de um CSV com as colunas:<br/>
             <code className="bg-gray-100 px-2 py-1 rounded text-xs">
               ID, Tipo de Item, Commited Date, Closed Date
-            </code>
+            </code><br/>
+            <span className="text-xs">Exportações do Jira e do Azure DevOps também são aceitas.</span>
           </p>
           
           <div className="mb-4">
             <input
               type="file"
               accept=".csv"
-              onChange={handleFileUpload}
+              multiple
+              onChange={(e) => handleFileUpload(e)}
               className="hidden"
               id="csv-upload"
             />
@@ -299,8 +1084,9 @@ const DynamicLeadTimeDashboard = () => {
               htmlFor="csv-upload"
               className="bg-blue-500 hover:bg-blue-600 text-white px-6 py-3 rounded-lg cursor-pointer transition-colors inline-block"
             >
-              📁 Selecionar Arquivo CSV
+              📁 Selecionar Arquivos CSV
             </label>
+            <p className="text-xs text-gray-500 mt-2">Vários arquivos são unidos, sem IDs repetidos.</p>
           </div>
           
           {error && (
@@ -309,6 +1095,13 @@ const DynamicLeadTimeDashboard = () => {
               <pre className="whitespace-pre-wrap">{error}</pre>
             </div>
           )}
+
+          <DatasetPicker
+            datasets={datasets}
+            onOpen={openDataset}
+            onRename={renameDataset}
+            onDelete={removeDataset}
+          />
         </div>
       </div>
     );
@@ -318,200 +1111,446 @@ const DynamicLeadTimeDashboard = () => {
     <div className="w-full h-screen bg-gray-50 p-6">
       <div className="bg-white rounded-lg shadow-lg p-6">
         <div className="flex justify-between items-center mb-6">
-          <h1 className="text-2xl font-bold text-gray-800">Dispersão do Lead Time</h1>
-          <button
-            onClick={() => {
-              setCsvUploaded(false);
-              setData([]);
-              setItemTypes([]);
-              setTypeFilters({});
-              setError(null);
-              setFileName('');
-            }}
-            className="bg-gray-500 hover:bg-gray-600 text-white px-4 py-2 rounded-lg text-sm transition-colors flex items-center gap-2"
-          >
-            ⬅️ Importar Novo CSV
-          </button>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-800">{VIEWS[view].title}</h1>
+            <p className={`text-sm ${isRangeActive(dateRange) ? 'text-blue-700 font-semibold' : 'text-gray-500'}`}>
+              📅 {formatRange(dateRange)}
+            </p>
+            {dataSource && lastRefresh && (
+              <p className="text-xs text-gray-500">
+                🔄 Atualizado às {lastRefresh.toLocaleTimeString('pt-BR')}
+                {dataSource.refreshMinutes > 0 && ` · a cada ${dataSource.refreshMinutes} min`}
+              </p>
+            )}
+          </div>
+          <div className="flex items-start gap-4">
+            <ExportMenu
+              chartRef={chartRef}
+              hasChart={view !== 'forecast'}
+              baseName={exportBaseName}
+              onExportCsv={exportCsv}
+              onOpenReport={openReport}
+              onExportAnnotations={Object.keys(annotations).length > 0 ? exportAnnotations : null}
+            />
+            {!embed && (
+              <>
+                <input
+                  type="file"
+                  accept=".csv"
+                  multiple
+                  onChange={(e) => handleFileUpload(e, true)}
+                  className="hidden"
+                  id="csv-append"
+                />
+                <label
+                  htmlFor="csv-append"
+                  className="bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-lg text-sm cursor-pointer transition-colors"
+                  title="Anexar arquivos ao dataset aberto; IDs repetidos ficam com o registro mais novo"
+                >
+                  ➕ Anexar CSV
+                </label>
+                <button
+                  onClick={() => {
+                    setCsvUploaded(false);
+                    setDatasetId(null);
+                    setLoadedData([]);
+                    setOpenItems([]);
+                    setExtraColumns([]);
+                    applySettings(DEFAULT_SETTINGS);
+                    setAnnotations({});
+                    setComparisonFile(null);
+                    setError(null);
+                    setFileName('');
+                  }}
+                  className="bg-gray-500 hover:bg-gray-600 text-white px-4 py-2 rounded-lg text-sm transition-colors flex items-center gap-2"
+                >
+                  ⬅️ Trocar Dataset
+                </button>
+              </>
+            )}
+          </div>
         </div>
+
+        {error && (
+          <div className="mb-4 p-4 bg-red-50 border border-red-200 rounded text-red-700 text-sm">
+            <pre className="whitespace-pre-wrap">{error}</pre>
+          </div>
+        )}
         
+        <div className="flex gap-1 mb-4 border-b border-gray-200 text-sm">
+          {Object.entries(VIEWS).map(([key, { tab }]) => (
+            <button
+              key={key}
+              onClick={() => setView(key)}
+              className={`px-4 py-2 -mb-px border-b-2 transition-colors ${
+                view === key ? 'border-blue-500 text-blue-700 font-semibold' : 'border-transparent text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              {tab}
+            </button>
+          ))}
+        </div>
+
         <div className="mb-4">
+          <div className="flex justify-between items-center flex-wrap gap-4 mb-3">
+            <DateRangePicker range={dateRange} presets={rangePresets} onChange={setDateRange} />
+            <div className="flex items-center gap-2">
+              <SleSettings
+                groups={dataByGroup}
+                targets={sleTargets}
+                onChange={setSleTargets}
+                unit={unit}
+              />
+              <BusinessDaySettings
+                mode={leadTimeMode}
+                onModeChange={setLeadTimeMode}
+                config={businessConfig}
+                onConfigChange={updateBusinessConfig}
+              />
+            </div>
+          </div>
+          {extraColumns.length > 0 && (
+            <div className="mb-3">
+              <ColumnFilters
+                columns={extraColumns}
+                items={[...loadedData, ...openItems]}
+                groupBy={groupBy}
+                onGroupByChange={changeGroupBy}
+                filters={columnFilters}
+                onFiltersChange={setColumnFilters}
+              />
+            </div>
+          )}
           <div className="flex justify-between items-center flex-wrap gap-4">
             <div className="flex flex-wrap gap-2 text-sm">
-              {itemTypes.map((type, index) => {
-                const typeCount = data.filter(item => item.type === type).length;
-                const bgColors = getBackgroundColorForType(type, index);
-                const color = getColorForType(type, index);
+              {groups.map((group, index) => {
+                const groupCount = rangeCountByGroup[group] || 0;
+                const bgColors = getBackgroundColorForGroup(group, index);
+                const color = getColorForGroup(group, index);
+                const visible = isGroupVisible(group);
                 
                 return (
                   <button
-                    key={type}
-                    onClick={() => toggleTypeFilter(type)}
+                    key={group}
+                    onClick={() => toggleGroupFilter(group)}
                     className={`flex items-center px-3 py-1 rounded transition-all ${
-                      typeFilters[type] ? bgColors.active : bgColors.inactive
+                      visible ? bgColors.active : bgColors.inactive
                     }`}
                   >
                     <div 
                       className={`w-3 h-3 rounded-full mr-2`}
-                      style={{ backgroundColor: typeFilters[type] ? color : '#9ca3af' }}
+                      style={{ backgroundColor: visible ? color : '#9ca3af' }}
                     ></div>
-                    <span>{type} ({typeCount})</span>
+                    <span>{group} ({groupCount})</span>
                   </button>
                 );
               })}
             </div>
             
-            <div className="flex space-x-4 text-sm">
-              {filteredData.length > 0 && (
-                <>
-                  <button
-                    onClick={() => setShowP85(!showP85)}
-                    className={`flex items-center px-3 py-1 rounded transition-all ${
-                      showP85 ? 'bg-orange-100 text-orange-800' : 'bg-gray-100 text-gray-500'
-                    }`}
-                  >
-                    <div className={`w-4 h-0.5 mr-2 ${showP85 ? 'bg-orange-500' : 'bg-gray-400'}`} style={{borderTop: showP85 ? '2px dashed #ff9500' : '2px dashed #9ca3af'}}></div>
-                    <span>P85: {p85Value} dias</span>
-                  </button>
-                  <button
-                    onClick={() => setShowP95(!showP95)}
-                    className={`flex items-center px-3 py-1 rounded transition-all ${
-                      showP95 ? 'bg-red-100 text-red-800' : 'bg-gray-100 text-gray-500'
-                    }`}
-                  >
-                    <div className={`w-4 h-0.5 mr-2 ${showP95 ? 'bg-red-600' : 'bg-gray-400'}`} style={{borderTop: showP95 ? '2px dashed #ff0000' : '2px dashed #9ca3af'}}></div>
-                    <span>P95: {p95Value} dias</span>
-                  </button>
-                </>
+            {(view === 'scatter' || view === 'histogram') && filteredData.length > 0 && (
+              <PercentileControls
+                lines={styledPercentileLines}
+                values={overallPercentiles}
+                unit={unit}
+                onChange={lines => setPercentileLines(lines.map(({ value, visible }) => ({ value, visible })))}
+                method={percentileMethod}
+                onMethodChange={setPercentileMethod}
+                byGroup={percentilesByGroup}
+                onByGroupChange={setPercentilesByGroup}
+              />
+            )}
+          </div>
+
+          {view === 'scatter' && filteredData.length > 0 && (
+            <div className="flex items-center gap-2 mt-3 text-sm">
+              <button
+                onClick={() => setShowTrend(!showTrend)}
+                className={`flex items-center px-3 py-1 rounded transition-all ${
+                  showTrend ? 'bg-emerald-100 text-emerald-800' : 'bg-gray-100 text-gray-500'
+                }`}
+              >
+                📈 Tendência móvel (P50/P85)
+              </button>
+              {showTrend && (
+                <select
+                  value={trendWindow}
+                  onChange={(e) => setTrendWindow(Number(e.target.value))}
+                  aria-label="Janela da tendência móvel"
+                  className="border border-gray-300 rounded px-2 py-1"
+                >
+                  {TREND_WINDOWS.map(days => (
+                    <option key={days} value={days}>Janela de {days} dias</option>
+                  ))}
+                </select>
               )}
             </div>
-          </div>
+          )}
         </div>
 
-        <ResponsiveContainer width="100%" height={500}>
-          <ScatterChart margin={{ top: 20, right: 30, bottom: 40, left: 60 }}>
-            <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
-            <XAxis 
-              type="number" 
-              dataKey="timestamp" 
-              domain={['dataMin', 'dataMax']}
-              tickFormatter={formatXAxisDate}
-              angle={0}
-              textAnchor="middle"
-              height={60}
-              stroke="#666"
-              ticks={(() => {
-                if (filteredData.length === 0) return [];
-                
-                // Gerar ticks para cada mês no período dos dados
-                const minDate = new Date(Math.min(...filteredData.map(d => d.timestamp)));
-                const maxDate = new Date(Math.max(...filteredData.map(d => d.timestamp)));
-                
-                const ticks = [];
-                const current = new Date(minDate.getFullYear(), minDate.getMonth(), 1);
-                
-                while (current <= maxDate) {
-                  ticks.push(current.getTime());
-                  current.setMonth(current.getMonth() + 1);
-                }
-                
-                return ticks;
-              })()}
+        <div ref={chartRef}>
+          {view === 'histogram' && (
+            <LeadTimeHistogram
+              items={filteredData}
+              referenceLines={referenceLines}
+              unit={unit}
+              groups={visibleGroups}
             />
-            <YAxis 
-              type="number" 
-              dataKey="leadTime" 
-              domain={[0, 'dataMax']}
-              label={{ value: 'Lead Time (dias)', angle: -90, position: 'insideLeft' }}
-              stroke="#666"
+          )}
+
+          {view === 'throughput' && (
+            <ThroughputChart
+              items={filteredData}
+              groups={visibleGroups}
             />
-            <Tooltip content={<CustomTooltip />} />
-            <Legend />
-            
-            {dataByType.map(({ type, data, color, visible }) => 
-              visible && data.length > 0 && (
-                <Scatter 
-                  key={type}
-                  name={type}
-                  data={data} 
-                  fill={color}
-                  r={6}
+          )}
+
+          {view === 'forecast' && <ForecastPanel items={filteredData} />}
+
+          {view === 'aging' && (
+            <AgingWipChart
+              openItems={scopedOpenItems}
+              groups={visibleGroups}
+              bands={agingBands}
+              countDays={countDays}
+              unit={unit}
+            />
+          )}
+
+          {view === 'sle' && (
+            <SleBreachChart
+              items={filteredData.filter(item => !isExcluded(item))}
+              groups={visibleGroups}
+              targets={sleTargets}
+              unit={unit}
+            />
+          )}
+
+          {view === 'compare' && (
+            <ComparisonPanel
+              periodItems={visibleScopedData}
+              rangeItems={rangeData}
+              fileItems={filteredData}
+              groups={dataByGroup}
+              presets={rangePresets}
+              percentileValues={percentileValues}
+              method={percentileMethod}
+              unit={unit}
+              fileName={fileName}
+              comparisonFile={comparisonFile}
+              comparisonItems={filteredComparisonData}
+              onLoadComparisonFile={loadComparisonFile}
+              onClearComparisonFile={() => setComparisonFile(null)}
+            />
+          )}
+
+          {view === 'scatter' && highVolume && (
+            <p className="text-xs text-gray-500 mb-2">
+              ⚡ {filteredData.length} pontos: modo de alto volume, com os pontos desenhados em canvas e sem detalhes
+              ao passar o mouse. Use o laço ou a tabela para inspecionar itens.
+            </p>
+          )}
+
+          {view === 'scatter' && (
+            <ResponsiveContainer width="100%" height={500}>
+              <ScatterChart
+                margin={{ top: 20, right: 30, bottom: 40, left: 60 }}
+                onMouseDown={(state) => state && setLasso([lassoPoint(state)])}
+                onMouseMove={extendLasso}
+                onMouseUp={finishLasso}
+                onMouseLeave={cancelLasso}
+                style={{ userSelect: 'none' }}
+              >
+                <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
+                <XAxis 
+                  type="number" 
+                  dataKey="timestamp" 
+                  domain={xDomain}
+                  allowDataOverflow
+                  tickFormatter={formatXAxisDate}
+                  angle={0}
+                  textAnchor="middle"
+                  height={60}
+                  stroke="#666"
+                  ticks={xTicks}
                 />
-              )
-            )}
-            
-            {filteredData.length > 0 && (
-              <>
-                {showP85 && (
-                  <ReferenceLine 
-                    y={p85Value} 
-                    stroke="#ff9500" 
-                    strokeDasharray="5 5" 
-                    strokeWidth={2}
-                    label={{ value: `P85: ${p85Value}d`, position: 'insideTopRight' }}
+                <YAxis 
+                  type="number" 
+                  dataKey="leadTime" 
+                  domain={[0, 'dataMax']}
+                  label={{ value: `Lead Time (${unit})`, angle: -90, position: 'insideLeft' }}
+                  stroke="#666"
+                />
+                <Tooltip content={<CustomTooltip />} />
+                <Legend payload={highVolume ? highVolumeLegend : undefined} />
+
+                {highVolume && (
+                  <Scatter
+                    key="anchors"
+                    data={domainAnchors}
+                    legendType="none"
+                    isAnimationActive={false}
+                    shape={() => null}
                   />
                 )}
-                {showP95 && (
+                {highVolume && (
+                  <Customized component={<ScatterCanvas groups={plottedGroups} pointStyle={pointStyle} />} />
+                )}
+              
+                {!highVolume && dataByGroup.map(({ group, data, color, visible }) => 
+                  visible && data.length > 0 && (
+                    <Scatter 
+                      key={group}
+                      name={group}
+                      data={data} 
+                      fill={color}
+                      r={6}
+                      onClick={(point) => {
+                        setSelectedIds([point.payload.id]);
+                        setHighlightedId(point.payload.id);
+                      }}
+                      shape={({ cx, cy, payload }) => {
+                        const { fill, stroke, breaching } = pointStyle(payload, group, color);
+                        return (
+                          <g style={{ cursor: 'pointer' }}>
+                            {breaching && (
+                              <circle cx={cx} cy={cy} r={7.5} fill="none" stroke="#dc2626" strokeWidth={1.5} />
+                            )}
+                            <circle
+                              cx={cx}
+                              cy={cy}
+                              r={4.5}
+                              fill={fill}
+                              stroke={stroke || 'none'}
+                              strokeDasharray={isExcluded(payload) ? '2 1' : undefined}
+                              strokeWidth={1.5}
+                            />
+                          </g>
+                        );
+                      }}
+                    />
+                  )
+                )}
+
+                {highlightedItem && (
+                  <Scatter
+                    key="highlight"
+                    data={[highlightedItem]}
+                    legendType="none"
+                    isAnimationActive={false}
+                    shape={({ cx, cy }) => (
+                      <circle cx={cx} cy={cy} r={10} fill="none" stroke="#eab308" strokeWidth={3} />
+                    )}
+                  />
+                )}
+
+                {lasso && lasso.length > 1 && (
+                  <Customized
+                    component={() => (
+                      <polygon
+                        points={lasso.map(point => `${point.x},${point.y}`).join(' ')}
+                        fill="#3b82f6"
+                        fillOpacity={0.1}
+                        stroke="#3b82f6"
+                        strokeDasharray="4 2"
+                      />
+                    )}
+                  />
+                )}
+              
+                {trendLines.map(line => (
+                  <Scatter
+                    key={`trend-${line.value}`}
+                    name={`P${line.value} móvel (${trendWindow}d)`}
+                    data={line.data}
+                    fill={line.color}
+                    line={{ stroke: line.color, strokeWidth: 2 }}
+                    lineType="joint"
+                    legendType="line"
+                    shape={({ cx, cy }) => <circle cx={cx} cy={cy} r={2} fill={line.color} />}
+                    isAnimationActive={false}
+                  />
+                ))}
+              
+                {referenceLines.map(line => (
                   <ReferenceLine 
-                    y={p95Value} 
-                    stroke="#ff0000" 
-                    strokeDasharray="5 5" 
+                    key={line.key}
+                    y={line.value} 
+                    stroke={line.color} 
+                    strokeDasharray={line.dash} 
                     strokeWidth={2}
-                    label={{ value: `P95: ${p95Value}d`, position: 'insideTopRight' }}
+                    label={{ value: line.label, position: 'insideTopRight' }}
                   />
-                )}
-              </>
-            )}
-          </ScatterChart>
-        </ResponsiveContainer>
-
-        <div className="mt-6 grid grid-cols-1 md:grid-cols-auto gap-4 text-sm" style={{gridTemplateColumns: `repeat(${Math.min(itemTypes.length + 1, 5)}, minmax(200px, 1fr))`}}>
-          {itemTypes.map((type, index) => {
-            const typeData = data.filter(item => item.type === type);
-            const isVisible = typeFilters[type];
-            const color = getColorForType(type, index);
-            
-            if (!isVisible || typeData.length === 0) return null;
-            
-            return (
-              <div key={type} className="p-4 rounded-lg border" style={{backgroundColor: `${color}10`, borderColor: `${color}40`}}>
-                <h3 className="font-semibold mb-2" style={{color: color}}>{type}</h3>
-                <p>Lead Time Médio: {Math.round(typeData.reduce((sum, item) => sum + item.leadTime, 0) / typeData.length)} dias</p>
-                <p>Min: {Math.min(...typeData.map(item => item.leadTime))} dias</p>
-                <p>Max: {Math.max(...typeData.map(item => item.leadTime))} dias</p>
-                <p>Total: {typeData.length} itens</p>
-              </div>
-            );
-          })}
-          
-          <div className="bg-gray-50 p-4 rounded-lg border border-gray-200">
-            <h3 className="font-semibold text-gray-800 mb-2">Resumo Geral</h3>
-            {filteredData.length > 0 && (
-              <p>Lead Time Médio: {Math.round(filteredData.reduce((sum, item) => sum + item.leadTime, 0) / filteredData.length)} dias</p>
-            )}
-            <p>Total: {data.length} itens</p>
-            <p>Tipos: {itemTypes.length}</p>
-            <p>Fonte: {fileName || 'Arquivo CSV'}</p>
-          </div>
+                ))}
+
+                {sleLines.map(line => (
+                  <ReferenceLine
+                    key={line.key}
+                    y={line.value}
+                    stroke={line.color}
+                    strokeWidth={2}
+                    ifOverflow="extendDomain"
+                    label={{ value: `🎯 ${line.label}`, position: 'insideBottomLeft', fill: line.color }}
+                  />
+                ))}
+              </ScatterChart>
+            </ResponsiveContainer>
+          )}
+
+          {view === 'scatter' && (
+            <DateRangeBrush
+              items={visibleScopedData}
+              range={dateRange}
+              onChange={setDateRange}
+            />
+          )}
         </div>
 
-        <div className="mt-6 pt-4 border-t border-gray-200 text-center text-sm text-gray-600">
-          <div className="mb-2">
-            <span>por</span>
-            <span className="font-semibold mx-1">Marcelo Souza</span>
-            <span>· IA aplicada à Agilidade e Produto</span>
+        {view === 'scatter' && highlightedItem && !embed && (
+          <AnnotationEditor
+            key={highlightedItem.id}
+            item={highlightedItem}
+            unit={unit}
+            onSave={(annotation) => saveAnnotation(highlightedItem.id, annotation)}
+            onClose={() => setHighlightedId(null)}
+          />
+        )}
+
+        {view === 'scatter' && (
+          <ItemTable
+            items={filteredData}
+            leadTimes={filteredLeadTimes}
+            unit={unit}
+            selectedIds={selectedIds}
+            onClearSelection={() => setSelectedIds(null)}
+            highlightedId={highlightedId}
+            onHighlight={setHighlightedId}
+            urlTemplate={itemUrlTemplate}
+            onUrlTemplateChange={setItemUrlTemplate}
+          />
+        )}
+
+        {summaryCards}
+
+        {!embed && (
+          <div className="mt-6 pt-4 border-t border-gray-200 text-center text-sm text-gray-600">
+            <div className="mb-2">
+              <span>por</span>
+              <span className="font-semibold mx-1">Marcelo Souza</span>
+              <span>· IA aplicada à Agilidade e Produto</span>
+            </div>
+            <a 
+              href="https://www.linkedin.com/in/marcelotrindadesouza/" 
+              target="_blank" 
+              rel="noopener noreferrer"
+              className="inline-flex items-center gap-1 text-blue-600 hover:text-blue-800 transition-colors"
+            >
+              <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 24 24">
+                <path d="M20.447 20.452h-3.554v-5.569c0-1.328-.027-3.037-1.852-3.037-1.853 0-2.136 1.445-2.136 2.939v5.667H9.351V9h3.414v1.561h.046c.477-.9 1.637-1.85 3.37-1.85 3.601 0 4.267 2.37 4.267 5.455v6.286zM5.337 7.433c-1.144 0-2.063-.926-2.063-2.065 0-1.138.92-2.063 2.063-2.063 1.14 0 2.064.925 2.064 2.063 0 1.139-.925 2.065-2.064 2.065zm1.782 13.019H3.555V9h3.564v11.452zM22.225 0H1.771C.792 0 0 .774 0 1.729v20.542C0 23.227.792 24 1.771 24h20.451C23.2 24 24 23.227 24 22.271V1.729C24 .774 23.2 0 22.222 0h.003z"/>
+              </svg>
+              /marcelotrindadesouza
+            </a>
           </div>
-          <a 
-            href="https://www.linkedin.com/in/marcelotrindadesouza/" 
-            target="_blank" 
-            rel="noopener noreferrer"
-            className="inline-flex items-center gap-1 text-blue-600 hover:text-blue-800 transition-colors"
-          >
-            <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 24 24">
-              <path d="M20.447 20.452h-3.554v-5.569c0-1.328-.027-3.037-1.852-3.037-1.853 0-2.136 1.445-2.136 2.939v5.667H9.351V9h3.414v1.561h.046c.477-.9 1.637-1.85 3.37-1.85 3.601 0 4.267 2.37 4.267 5.455v6.286zM5.337 7.433c-1.144 0-2.063-.926-2.063-2.065 0-1.138.92-2.063 2.063-2.063 1.14 0 2.064.925 2.064 2.063 0 1.139-.925 2.065-2.064 2.065zm1.782 13.019H3.555V9h3.564v11.452zM22.225 0H1.771C.792 0 0 .774 0 1.729v20.542C0 23.227.792 24 1.771 24h20.451C23.2 24 24 23.227 24 22.271V1.729C24 .774 23.2 0 22.222 0h.003z"/>
-            </svg>
-            /marcelotrindadesouza
-          </a>
-        </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { LEAD_TIME_MODES, WEEKDAYS, HOLIDAY_CALENDARS, parseHolidayList } from './businessDays';
+
+// Alternância entre dias corridos e dias úteis, com a configuração do calendário
+const BusinessDaySettings = ({ mode, onModeChange, config, onConfigChange }) => {
+  const [open, setOpen] = useState(false);
+  const [importError, setImportError] = useState(null);
+
+  // Pelo menos um dia de trabalho precisa ficar marcado
+  const isLastWorkingDay = (day) => config.workingDays.length === 1 && config.workingDays.includes(day);
+
+  const toggleWorkingDay = (day) => {
+    if (isLastWorkingDay(day)) return;
+    const workingDays = config.workingDays.includes(day)
+      ? config.workingDays.filter(current => current !== day)
+      : [...config.workingDays, day].sort((a, b) => a - b);
+    onConfigChange({ ...config, workingDays });
+  };
+
+  const toggleCalendar = (key) => {
+    const calendars = config.calendars.includes(key)
+      ? config.calendars.filter(current => current !== key)
+      : [...config.calendars, key];
+    onConfigChange({ ...config, calendars });
+  };
+
+  const handleHolidayImport = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    try {
+      setImportError(null);
+      const customHolidays = parseHolidayList(await file.text());
+      if (customHolidays.length === 0) {
+        setImportError('Nenhuma data válida encontrada no arquivo.');
+        return;
+      }
+      onConfigChange({ ...config, customHolidays });
+    } catch (err) {
+      setImportError('Erro ao ler o arquivo: ' + err.message);
+    } finally {
+      event.target.value = '';
+    }
+  };
+
+  return (
+    <div className="relative flex items-center gap-1 text-sm">
+      {Object.entries(LEAD_TIME_MODES).map(([key, label]) => (
+        <button
+          key={key}
+          onClick={() => onModeChange(key)}
+          className={`px-3 py-1 rounded transition-all ${
+            mode === key ? 'bg-blue-100 text-blue-800' : 'bg-gray-100 text-gray-500'
+          }`}
+        >
+          {label}
+        </button>
+      ))}
+      {mode === 'business' && (
+        <button
+          onClick={() => setOpen(!open)}
+          className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-2 py-1 rounded"
+          title="Configurar calendário"
+        >
+          ⚙️
+        </button>
+      )}
+
+      {mode === 'business' && open && (
+        <div className="absolute right-0 top-full mt-2 z-10 bg-white border border-gray-200 rounded-lg shadow-lg p-4 w-80">
+          <p className="font-semibold text-gray-800 mb-2">Dias de trabalho</p>
+          <div className="flex gap-1 mb-4">
+            {WEEKDAYS.map((label, day) => (
+              <button
+                key={label}
+                onClick={() => toggleWorkingDay(day)}
+                disabled={isLastWorkingDay(day)}
+                title={isLastWorkingDay(day) ? 'Pelo menos um dia de trabalho é necessário' : undefined}
+                className={`px-2 py-1 rounded text-xs disabled:cursor-not-allowed ${
+                  config.workingDays.includes(day) ? 'bg-blue-100 text-blue-800' : 'bg-gray-100 text-gray-500'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          <p className="font-semibold text-gray-800 mb-2">Feriados</p>
+          <div className="space-y-1 mb-4">
+            {Object.entries(HOLIDAY_CALENDARS).map(([key, calendar]) => (
+              <label key={key} className="flex items-center gap-2 text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={config.calendars.includes(key)}
+                  onChange={() => toggleCalendar(key)}
+                />
+                {calendar.name}
+              </label>
+            ))}
+          </div>
+
+          <p className="font-semibold text-gray-800 mb-2">Lista personalizada</p>
+          <p className="text-xs text-gray-500 mb-2">
+            CSV ou TXT com uma data por linha (primeira coluna).
+          </p>
+          <div className="flex items-center gap-2">
+            <input
+              type="file"
+              accept=".csv,.txt"
+              onChange={handleHolidayImport}
+              className="hidden"
+              id="holiday-upload"
+            />
+            <label
+              htmlFor="holiday-upload"
+              className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-2 py-1 rounded cursor-pointer"
+            >
+              📁 Importar
+            </label>
+            {config.customHolidays.length > 0 && (
+              <>
+                <span className="text-gray-600">{config.customHolidays.length} datas</span>
+                <button
+                  onClick={() => onConfigChange({ ...config, customHolidays: [] })}
+                  className="text-red-600 hover:text-red-800"
+                >
+                  Remover
+                </button>
+              </>
+            )}
+          </div>
+          {importError && <p className="text-xs text-red-700 mt-2">{importError}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BusinessDaySettings;
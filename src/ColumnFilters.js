@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { TYPE_GROUP, guessMultiValue, distinctColumnValues, columnLabel } from './grouping';
+
+// Agrupamento por qualquer coluna extra do CSV e filtros de seleção múltipla por coluna
+const ColumnFilters = ({ columns, items, groupBy, onGroupByChange, filters, onFiltersChange }) => {
+  const [openColumn, setOpenColumn] = useState(null);
+
+  if (columns.length === 0) return null;
+
+  const addFilter = (column) => {
+    if (column === undefined) return;
+    onFiltersChange({ ...filters, [column]: { multi: guessMultiValue(column), values: [] } });
+    setOpenColumn(column);
+  };
+
+  const removeFilter = (column) => {
+    const { [column]: removed, ...rest } = filters;
+    onFiltersChange(rest);
+  };
+
+  const updateFilter = (column, changes) => {
+    onFiltersChange({ ...filters, [column]: { ...filters[column], ...changes } });
+  };
+
+  const toggleValue = (column, value) => {
+    const { values } = filters[column];
+    updateFilter(column, {
+      values: values.includes(value) ? values.filter(current => current !== value) : [...values, value]
+    });
+  };
+
+  // Agrupado por outra coluna, o tipo deixa de ter os botões de grupo e passa a ser filtrável como as demais
+  const filterColumns = groupBy === TYPE_GROUP ? columns : [TYPE_GROUP, ...columns];
+  const availableColumns = filterColumns.filter(column => !filters[column]);
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <label className="flex items-center gap-1 text-gray-700">
+        Agrupar por
+        <select
+          value={groupBy}
+          onChange={(e) => onGroupByChange(e.target.value)}
+          className="border border-gray-300 rounded px-2 py-1"
+        >
+          <option value={TYPE_GROUP}>Tipo de Item</option>
+          {columns.map(column => (
+            <option key={column} value={column}>{column}</option>
+          ))}
+        </select>
+      </label>
+
+      {Object.entries(filters).map(([column, { multi, values }]) => (
+        <div key={column} className="relative">
+          <button
+            onClick={() => setOpenColumn(openColumn === column ? null : column)}
+            className={`px-3 py-1 rounded transition-all ${
+              values.length > 0 ? 'bg-blue-100 text-blue-800' : 'bg-gray-100 text-gray-600'
+            }`}
+          >
+            {columnLabel(column)}: {values.length > 0 ? values.join(', ') : 'todos'} ▾
+          </button>
+          {openColumn === column && (
+            <div className="absolute left-0 top-full mt-2 z-10 bg-white border border-gray-200 rounded-lg shadow-lg p-3 w-64">
+              <div className="flex justify-between items-center mb-2">
+                <label className="flex items-center gap-1 text-xs text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={multi}
+                    onChange={(e) => updateFilter(column, { multi: e.target.checked, values: [] })}
+                  />
+                  Múltiplos valores (; , |)
+                </label>
+                <button onClick={() => removeFilter(column)} className="text-xs text-red-600 hover:text-red-800">
+                  Remover
+                </button>
+              </div>
+              <div className="overflow-auto space-y-1" style={{maxHeight: '240px'}}>
+                {distinctColumnValues(items, column, multi).map(value => (
+                  <label key={value} className="flex items-center gap-2 text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={values.includes(value)}
+                      onChange={() => toggleValue(column, value)}
+                    />
+                    {value}
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      ))}
+
+      {availableColumns.length > 0 && (
+        <select
+          value=""
+          onChange={(e) => addFilter(availableColumns[e.target.value])}
+          aria-label="Adicionar filtro por coluna"
+          className="border border-gray-300 rounded px-2 py-1 text-gray-600"
+        >
+          <option value="">+ Filtro por coluna</option>
+          {/* O tipo tem chave vazia, então as opções usam a posição na lista */}
+          {availableColumns.map((column, index) => (
+            <option key={column} value={index}>{columnLabel(column)}</option>
+          ))}
+        </select>
+      )}
+    </div>
+  );
+};
+
+export default ColumnFilters;
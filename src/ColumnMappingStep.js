@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import { REQUIRED_FIELDS, MAPPING_PRESETS, applyPreset, isMappingComplete } from './columnMapping';
+import { DATE_FORMATS, resolveDateFormat } from './dateParsing';
+
+// Etapa de mapeamento entre os campos do dashboard e as colunas do CSV
+const ColumnMappingStep = ({ headers, rows, fileName, initialMapping, initialPreset, initialDateFormat, onConfirm, onCancel }) => {
+  const [mapping, setMapping] = useState(initialMapping);
+  const [presetKey, setPresetKey] = useState(initialPreset);
+  const [dateFormat, setDateFormat] = useState(initialDateFormat);
+
+  const selectPreset = (key) => {
+    setPresetKey(key);
+    setMapping(applyPreset(key, headers));
+  };
+
+  const updateField = (field, column) => {
+    setPresetKey('custom');
+    setMapping(prev => ({
+      ...prev,
+      [field]: column
+    }));
+  };
+
+  const complete = isMappingComplete(mapping, headers);
+
+  // Mostrar o resultado da detecção de datas com as colunas selecionadas
+  const detection = complete && dateFormat === 'auto'
+    ? resolveDateFormat('auto', rows, [mapping.commitedDate, mapping.closedDate])
+    : null;
+
+  return (
+    <div className="w-full h-screen bg-gray-50 flex items-center justify-center">
+      <div className="bg-white p-8 rounded-lg shadow-lg max-w-lg w-full">
+        <h2 className="text-xl font-bold text-gray-800 mb-1">Mapeamento de Colunas</h2>
+        <p className="text-gray-600 text-sm mb-4">
+          Arquivo: <span className="font-semibold">{fileName}</span> · {headers.length} colunas encontradas
+        </p>
+
+        <div className="flex flex-wrap gap-2 text-sm mb-6">
+          {Object.entries(MAPPING_PRESETS).map(([key, preset]) => (
+            <button
+              key={key}
+              onClick={() => selectPreset(key)}
+              className={`px-3 py-1 rounded transition-all ${
+                presetKey === key ? 'bg-blue-100 text-blue-800' : 'bg-gray-100 text-gray-500'
+              }`}
+            >
+              {preset.name}
+            </button>
+          ))}
+          {presetKey === 'saved' && (
+            <span className="px-3 py-1 rounded bg-green-100 text-green-800">Último mapeamento usado</span>
+          )}
+        </div>
+
+        <div className="space-y-3 mb-6">
+          {REQUIRED_FIELDS.map(({ key, label }) => (
+            <div key={key} className="flex items-center justify-between gap-4 text-sm">
+              <label htmlFor={`mapping-${key}`} className="font-semibold text-gray-700 w-40">{label}</label>
+              <select
+                id={`mapping-${key}`}
+                value={mapping[key] || ''}
+                onChange={(e) => updateField(key, e.target.value)}
+                className={`flex-1 border rounded px-2 py-1 ${mapping[key] ? 'border-gray-300' : 'border-red-300 bg-red-50'}`}
+              >
+                <option value="">— Selecione uma coluna —</option>
+                {headers.map(header => (
+                  <option key={header} value={header}>{header}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex items-center justify-between gap-4 text-sm mb-2">
+          <label htmlFor="mapping-date-format" className="font-semibold text-gray-700 w-40">Formato de data</label>
+          <select
+            id="mapping-date-format"
+            value={dateFormat}
+            onChange={(e) => setDateFormat(e.target.value)}
+            className="flex-1 border border-gray-300 rounded px-2 py-1"
+          >
+            {Object.entries(DATE_FORMATS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+        {detection && (
+          <p className={`text-xs mb-6 ${detection.ambiguous || detection.unrecognized ? 'text-yellow-700' : 'text-gray-500'}`}>
+            {detection.unrecognized
+              ? '⚠️ Nenhuma data das colunas selecionadas está num formato reconhecido. Confira o mapeamento das colunas de data.'
+              : detection.ambiguous
+                ? `⚠️ Não foi possível distinguir DD/MM de MM/DD nas datas do arquivo. Usando ${DATE_FORMATS[detection.format]}; selecione o formato manualmente se estiver incorreto.`
+                : `Formato detectado: ${DATE_FORMATS[detection.format]}`}
+          </p>
+        )}
+        {!detection && <div className="mb-6"></div>}
+
+        <div className="flex justify-end gap-2">
+          <button
+            onClick={onCancel}
+            className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-4 py-2 rounded-lg text-sm transition-colors"
+          >
+            Cancelar
+          </button>
+          <button
+            onClick={() => onConfirm(mapping, dateFormat)}
+            disabled={!complete}
+            className={`px-4 py-2 rounded-lg text-sm transition-colors text-white ${
+              complete ? 'bg-blue-500 hover:bg-blue-600' : 'bg-gray-300 cursor-not-allowed'
+            }`}
+          >
+            Continuar
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnMappingStep;
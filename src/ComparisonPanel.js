@@ -0,0 +1,290 @@
+import React, { useState, useMemo } from 'react';
+import { ComposedChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend } from 'recharts';
+import DateRangePicker from './DateRangePicker';
+import { EMPTY_RANGE, isInRange, formatRange } from './dateRange';
+import { computePercentiles, mean, formatNumber } from './statistics';
+import { isExcluded } from './annotations';
+import { COMPARISON_MODES, SIGNIFICANCE_LEVEL, buildComparisonDistribution, describeComparison } from './comparison';
+
+const SIDE_COLORS = { A: '#6366f1', B: '#f97316' };
+
+// Por padrão compara os dois últimos trimestres com dados
+const defaultRanges = (presets) => {
+  const quarters = presets.filter(({ key }) => key.startsWith('q'));
+  return quarters.length >= 2
+    ? [quarters[quarters.length - 2].range, quarters[quarters.length - 1].range]
+    : [EMPTY_RANGE, EMPTY_RANGE];
+};
+
+// Diferença B − A; lead time menor em B é melhora
+const renderDelta = (valueA, valueB, unit) => {
+  const delta = valueB - valueA;
+  const relative = valueA > 0 ? (delta / valueA) * 100 : 0;
+  const color = delta < 0 ? 'text-green-700' : delta > 0 ? 'text-red-700' : 'text-gray-500';
+  return (
+    <td className={`px-3 py-1 text-right ${color}`}>
+      {delta > 0 ? '+' : ''}{formatNumber(delta)} {unit} ({relative > 0 ? '+' : ''}{formatNumber(relative, 0)}%)
+    </td>
+  );
+};
+
+// Comparação de duas amostras de lead time: dois períodos, dois conjuntos de grupos ou dois arquivos
+const ComparisonPanel = ({
+  periodItems,
+  rangeItems,
+  fileItems,
+  groups,
+  presets,
+  percentileValues,
+  method,
+  unit,
+  fileName,
+  comparisonFile,
+  comparisonItems,
+  onLoadComparisonFile,
+  onClearComparisonFile
+}) => {
+  const [mode, setMode] = useState('periods');
+  const [ranges, setRanges] = useState(() => defaultRanges(presets));
+  const [groupSets, setGroupSets] = useState(() => [
+    groups.slice(0, 1).map(({ group }) => group),
+    groups.slice(1, 2).map(({ group }) => group)
+  ]);
+  const [fileError, setFileError] = useState(null);
+
+  // Itens excluídos por anotação ficam fora dos dois lados, como nos percentis do gráfico
+  const sides = useMemo(() => {
+    const included = (items) => items.filter(item => !isExcluded(item));
+    if (mode === 'periods') {
+      return ranges.map((range, index) => ({
+        label: `Período ${index === 0 ? 'A' : 'B'}`,
+        detail: formatRange(range),
+        items: included(periodItems).filter(item => isInRange(item, range))
+      }));
+    }
+    if (mode === 'groups') {
+      return groupSets.map((selected, index) => ({
+        label: `Conjunto ${index === 0 ? 'A' : 'B'}`,
+        detail: selected.length > 0 ? selected.join(', ') : 'nenhum grupo',
+        items: included(rangeItems).filter(item => selected.includes(item.group))
+      }));
+    }
+    return [
+      { label: 'Arquivo A', detail: fileName, items: included(fileItems) },
+      {
+        label: 'Arquivo B',
+        detail: comparisonFile ? comparisonFile.fileName : 'não carregado',
+        items: included(comparisonItems)
+      }
+    ];
+  }, [mode, ranges, groupSets, periodItems, rangeItems, fileItems, fileName, comparisonFile, comparisonItems]);
+
+  const [leadTimesA, leadTimesB] = useMemo(
+    () => sides.map(side => side.items.map(item => item.leadTime).sort((a, b) => a - b)),
+    [sides]
+  );
+  const compared = [...new Set([50, ...percentileValues])].sort((a, b) => a - b);
+  const percentilesA = computePercentiles(leadTimesA, compared, method);
+  const percentilesB = computePercentiles(leadTimesB, compared, method);
+
+  const distribution = useMemo(() => buildComparisonDistribution(leadTimesA, leadTimesB), [leadTimesA, leadTimesB]);
+  const result = describeComparison(leadTimesA, leadTimesB, sides[0].label, sides[1].label);
+
+  const updateRange = (index, range) => {
+    setRanges(ranges.map((current, position) => (position === index ? range : current)));
+  };
+
+  const toggleGroup = (index, group) => {
+    setGroupSets(groupSets.map((selected, position) => {
+      if (position !== index) return selected;
+      return selected.includes(group) ? selected.filter(current => current !== group) : [...selected, group];
+    }));
+  };
+
+  const handleFileUpload = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    try {
+      setFileError(null);
+      await onLoadComparisonFile(file);
+    } catch (err) {
+      setFileError(err.message);
+    } finally {
+      event.target.value = '';
+    }
+  };
+
+  const bucketLabel = (x) => {
+    const start = x + 0.5;
+    const end = start + distribution.bucketSize - 1;
+    return distribution.bucketSize === 1 ? `${start} ${unit}` : `${start}–${end} ${unit}`;
+  };
+
+  return (
+    <div className="text-sm">
+      <div className="flex gap-1 mb-4">
+        {Object.entries(COMPARISON_MODES).map(([key, label]) => (
+          <button
+            key={key}
+            onClick={() => setMode(key)}
+            className={`px-3 py-1 rounded transition-all ${
+              mode === key ? 'bg-blue-100 text-blue-800' : 'bg-gray-100 text-gray-500'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+        {sides.map((side, index) => (
+          <div
+            key={side.label}
+            className="p-4 rounded-lg border"
+            style={{ borderColor: `${SIDE_COLORS[index === 0 ? 'A' : 'B']}60` }}
+          >
+            <h3 className="font-semibold mb-2" style={{ color: SIDE_COLORS[index === 0 ? 'A' : 'B'] }}>
+              {side.label} · {side.items.length} itens
+            </h3>
+
+            {mode === 'periods' && (
+              <DateRangePicker range={ranges[index]} presets={presets} onChange={range => updateRange(index, range)} />
+            )}
+
+            {mode === 'groups' && (
+              <div className="flex flex-wrap gap-2">
+                {groups.map(({ group, color }) => (
+                  <label key={group} className="flex items-center gap-1 text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={groupSets[index].includes(group)}
+                      onChange={() => toggleGroup(index, group)}
+                    />
+                    <span style={{ color }}>{group}</span>
+                  </label>
+                ))}
+              </div>
+            )}
+
+            {mode === 'files' && index === 0 && <p className="text-gray-600">{side.detail}</p>}
+
+            {mode === 'files' && index === 1 && (
+              <div className="flex items-center gap-2">
+                <input
+                  type="file"
+                  accept=".csv"
+                  onChange={handleFileUpload}
+                  className="hidden"
+                  id="comparison-upload"
+                />
+                <label
+                  htmlFor="comparison-upload"
+                  className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-2 py-1 rounded cursor-pointer"
+                >
+                  📁 {comparisonFile ? 'Trocar arquivo' : 'Carregar CSV'}
+                </label>
+                {comparisonFile && (
+                  <>
+                    <span className="text-gray-600">{comparisonFile.fileName}</span>
+                    <button onClick={onClearComparisonFile} className="text-red-600 hover:text-red-800">
+                      Remover
+                    </button>
+                  </>
+                )}
+              </div>
+            )}
+            {mode === 'files' && index === 1 && comparisonFile && comparisonFile.skipped > 0 && (
+              <p className="text-xs text-yellow-700 mt-2">
+                ⚠️ {comparisonFile.skipped} linhas ignoradas ou rejeitadas na validação.
+              </p>
+            )}
+            {mode === 'files' && index === 1 && fileError && (
+              <p className="text-xs text-red-700 mt-2">{fileError}</p>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {mode === 'files' && (
+        <p className="text-xs text-gray-500 mb-4">
+          Os filtros, o período e o modo de dias selecionados acima valem para os dois arquivos.
+        </p>
+      )}
+
+      <div className={`p-4 rounded-lg border mb-4 ${
+        result.significant ? 'bg-blue-50 border-blue-200 text-blue-900' : 'bg-gray-50 border-gray-200 text-gray-800'
+      }`}>
+        <h3 className="font-semibold mb-2">Teste de Mann-Whitney (nível de {formatNumber(SIGNIFICANCE_LEVEL * 100, 0)}%)</h3>
+        {result.lines.map(line => <p key={line}>{line}</p>)}
+      </div>
+
+      {result.test && (
+        <>
+          <table className="w-full mb-4">
+            <thead className="bg-gray-100 text-gray-700">
+              <tr>
+                <th className="text-left px-3 py-2"></th>
+                <th className="text-right px-3 py-2">{sides[0].label}</th>
+                <th className="text-right px-3 py-2">{sides[1].label}</th>
+                <th className="text-right px-3 py-2">Diferença (B − A)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {compared.map(value => (
+                <tr key={value} className="border-t">
+                  <td className="px-3 py-1 font-semibold">P{value}</td>
+                  <td className="px-3 py-1 text-right">{formatNumber(percentilesA[value])} {unit}</td>
+                  <td className="px-3 py-1 text-right">{formatNumber(percentilesB[value])} {unit}</td>
+                  {renderDelta(percentilesA[value], percentilesB[value], unit)}
+                </tr>
+              ))}
+              <tr className="border-t">
+                <td className="px-3 py-1 font-semibold">Média</td>
+                <td className="px-3 py-1 text-right">{formatNumber(mean(leadTimesA))} {unit}</td>
+                <td className="px-3 py-1 text-right">{formatNumber(mean(leadTimesB))} {unit}</td>
+                {renderDelta(mean(leadTimesA), mean(leadTimesB), unit)}
+              </tr>
+            </tbody>
+          </table>
+
+          <ResponsiveContainer width="100%" height={400}>
+            <ComposedChart data={distribution.buckets} margin={{ top: 20, right: 30, bottom: 40, left: 60 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
+              <XAxis
+                type="number"
+                dataKey="x"
+                domain={['dataMin', 'dataMax']}
+                ticks={distribution.buckets.slice(0, -1).map(bucket => bucket.start)}
+                label={{ value: `Lead Time (${unit})`, position: 'insideBottom', offset: -10 }}
+                height={60}
+                stroke="#666"
+              />
+              <YAxis
+                tickFormatter={(value) => `${formatNumber(value, 0)}%`}
+                label={{ value: '% dos itens', angle: -90, position: 'insideLeft' }}
+                stroke="#666"
+              />
+              <Tooltip labelFormatter={bucketLabel} formatter={(value) => `${formatNumber(value)}%`} />
+              <Legend verticalAlign="top" />
+              {['A', 'B'].map((key, index) => (
+                <Area
+                  key={key}
+                  type="stepAfter"
+                  dataKey={key}
+                  name={`${sides[index].label} (${sides[index].detail})`}
+                  stroke={SIDE_COLORS[key]}
+                  fill={SIDE_COLORS[key]}
+                  fillOpacity={0.2}
+                  isAnimationActive={false}
+                />
+              ))}
+            </ComposedChart>
+          </ResponsiveContainer>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ComparisonPanel;
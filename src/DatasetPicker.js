@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+
+// Lista dos datasets salvos no navegador, com opções para reabrir, renomear e excluir
+const DatasetPicker = ({ datasets, onOpen, onRename, onDelete }) => {
+  const [editingId, setEditingId] = useState(null);
+  const [draftName, setDraftName] = useState('');
+
+  if (datasets.length === 0) return null;
+
+  const startRename = (dataset) => {
+    setEditingId(dataset.id);
+    setDraftName(dataset.name);
+  };
+
+  const confirmRename = () => {
+    if (draftName.trim()) onRename(editingId, draftName.trim());
+    setEditingId(null);
+  };
+
+  return (
+    <div className="mt-6 text-left text-sm">
+      <h3 className="font-semibold text-gray-800 mb-2">Datasets salvos</h3>
+      <ul className="border rounded divide-y">
+        {datasets.map(dataset => (
+          <li key={dataset.id} className="flex items-center gap-2 px-3 py-2">
+            {editingId === dataset.id ? (
+              <form
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  confirmRename();
+                }}
+                className="flex-1 flex items-center gap-1"
+              >
+                <input
+                  value={draftName}
+                  onChange={(e) => setDraftName(e.target.value)}
+                  aria-label="Nome do dataset"
+                  className="flex-1 border border-gray-300 rounded px-2 py-1"
+                  autoFocus
+                />
+                <button type="submit" className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-2 py-1 rounded">
+                  Salvar
+                </button>
+              </form>
+            ) : (
+              <button onClick={() => onOpen(dataset.id)} className="flex-1 text-left hover:text-blue-700">
+                <span className="block font-medium">{dataset.name}</span>
+                <span className="block text-xs text-gray-500">
+                  {dataset.uploadedAt.toLocaleString('pt-BR')} · {dataset.rowCount} itens
+                </span>
+              </button>
+            )}
+            {editingId !== dataset.id && (
+              <>
+                <button
+                  onClick={() => startRename(dataset)}
+                  className="text-gray-500 hover:text-gray-800"
+                  title="Renomear"
+                >
+                  ✏️
+                </button>
+                <button
+                  onClick={() => {
+                    if (window.confirm(`Excluir o dataset "${dataset.name}"?`)) onDelete(dataset.id);
+                  }}
+                  className="text-gray-500 hover:text-red-700"
+                  title="Excluir"
+                >
+                  🗑️
+                </button>
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default DatasetPicker;
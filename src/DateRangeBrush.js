@@ -0,0 +1,53 @@
+import React, { useMemo } from 'react';
+import { AreaChart, Area, XAxis, Brush, ResponsiveContainer } from 'recharts';
+import { buildThroughputSeries } from './throughput';
+import { addDays, toInputDate, formatDate } from './dateParsing';
+import { isInRange } from './dateRange';
+
+// Navegador semanal com brush para dar zoom no período do gráfico
+const DateRangeBrush = ({ items, range, onChange }) => {
+  const series = useMemo(
+    () => buildThroughputSeries(items, [], 'week', { rollingPeriods: 1 }),
+    [items]
+  );
+
+  if (series.length < 2) return null;
+
+  // Semanas cujo início cai no período selecionado
+  const selected = series
+    .map((bucket, index) => ({ index, inRange: isInRange({ closedDate: new Date(bucket.start) }, range) }))
+    .filter(({ inRange }) => inRange);
+  const startIndex = selected.length > 0 ? selected[0].index : 0;
+  const endIndex = selected.length > 0 ? selected[selected.length - 1].index : series.length - 1;
+
+  const handleChange = ({ startIndex: start, endIndex: end }) => {
+    if (start === 0 && end === series.length - 1) {
+      onChange({ start: '', end: '' });
+      return;
+    }
+    onChange({
+      start: toInputDate(new Date(series[start].start)),
+      end: toInputDate(addDays(new Date(series[end].start), 6))
+    });
+  };
+
+  return (
+    <ResponsiveContainer width="100%" height={90}>
+      <AreaChart data={series} margin={{ top: 5, right: 30, bottom: 0, left: 60 }}>
+        <XAxis dataKey="start" hide />
+        <Area type="monotone" dataKey="total" stroke="#9ca3af" fill="#e5e7eb" isAnimationActive={false} />
+        <Brush
+          dataKey="start"
+          height={30}
+          stroke="#3b82f6"
+          startIndex={startIndex}
+          endIndex={endIndex}
+          tickFormatter={(value) => formatDate(new Date(value))}
+          onChange={handleChange}
+        />
+      </AreaChart>
+    </ResponsiveContainer>
+  );
+};
+
+export default DateRangeBrush;
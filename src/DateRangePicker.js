@@ -0,0 +1,55 @@
+import React from 'react';
+import { EMPTY_RANGE, isRangeActive } from './dateRange';
+
+// Seleção do período analisado: presets rápidos ou datas livres
+const DateRangePicker = ({ range, presets, onChange }) => {
+  const activePreset = presets.find(preset =>
+    preset.range.start === range.start && preset.range.end === range.end
+  );
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <select
+        value={activePreset ? activePreset.key : ''}
+        onChange={(e) => {
+          const preset = presets.find(({ key }) => key === e.target.value);
+          onChange(preset ? preset.range : EMPTY_RANGE);
+        }}
+        aria-label="Período"
+        className="border border-gray-300 rounded px-2 py-1"
+      >
+        <option value="">{isRangeActive(range) ? 'Personalizado' : 'Todo o período'}</option>
+        {presets.map(({ key, label }) => (
+          <option key={key} value={key}>{label}</option>
+        ))}
+      </select>
+      <input
+        type="date"
+        value={range.start}
+        max={range.end || undefined}
+        onChange={(e) => onChange({ ...range, start: e.target.value })}
+        aria-label="Data inicial"
+        className="border border-gray-300 rounded px-2 py-1"
+      />
+      <span className="text-gray-500">até</span>
+      <input
+        type="date"
+        value={range.end}
+        min={range.start || undefined}
+        onChange={(e) => onChange({ ...range, end: e.target.value })}
+        aria-label="Data final"
+        className="border border-gray-300 rounded px-2 py-1"
+      />
+      {isRangeActive(range) && (
+        <button
+          onClick={() => onChange(EMPTY_RANGE)}
+          className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-2 py-1 rounded"
+        >
+          Limpar
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default DateRangePicker;
@@ -0,0 +1,48 @@
+import React, { useState } from 'react';
+import { downloadFile, findChartSvg, serializeChart, svgToPng } from './download';
+
+// Exportação do gráfico atual (PNG/SVG), do dataset filtrado (CSV), das anotações e do relatório para impressão
+const ExportMenu = ({ chartRef, hasChart, baseName, onExportCsv, onExportAnnotations, onOpenReport }) => {
+  const [error, setError] = useState(null);
+
+  const exportChart = async (format) => {
+    const svg = findChartSvg(chartRef.current);
+    if (!svg) {
+      setError('Nenhum gráfico para exportar nesta visão.');
+      return;
+    }
+
+    try {
+      setError(null);
+      const svgString = serializeChart(svg);
+      if (format === 'svg') {
+        downloadFile(svgString, `${baseName}.svg`, 'image/svg+xml;charset=utf-8');
+        return;
+      }
+      const { width, height } = svg.getBoundingClientRect();
+      downloadFile(await svgToPng(svgString, width, height), `${baseName}.png`, 'image/png');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const buttonClass = 'bg-gray-100 hover:bg-gray-200 text-gray-700 px-2 py-1 rounded disabled:opacity-50';
+
+  return (
+    <div className="flex flex-col items-end gap-1 text-sm">
+      <div className="flex items-center gap-1">
+        <span className="text-gray-500 mr-1">Exportar:</span>
+        <button onClick={() => exportChart('png')} disabled={!hasChart} className={buttonClass}>🖼️ PNG</button>
+        <button onClick={() => exportChart('svg')} disabled={!hasChart} className={buttonClass}>SVG</button>
+        <button onClick={onExportCsv} className={buttonClass}>📄 CSV</button>
+        {onExportAnnotations && (
+          <button onClick={onExportAnnotations} className={buttonClass}>📝 Anotações</button>
+        )}
+        <button onClick={onOpenReport} className={buttonClass}>🖨️ Relatório</button>
+      </div>
+      {error && <p className="text-xs text-red-700">{error}</p>}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,122 @@
+import React, { useState, useMemo } from 'react';
+import { SAMPLING_WINDOWS, MAX_TARGET_DAYS, buildDailyThroughput, forecastWhen, forecastHowMany } from './forecast';
+import { calendarDaysBetween, formatDate, addDays, toInputDate, fromInputDate } from './dateParsing';
+
+// Painel de previsão de entregas por simulação de Monte Carlo
+const ForecastPanel = ({ items }) => {
+  const today = new Date();
+  const [windowDays, setWindowDays] = useState(90);
+  const [itemCount, setItemCount] = useState(10);
+  const [targetDate, setTargetDate] = useState(toInputDate(addDays(today, 30)));
+
+  const samples = useMemo(() => buildDailyThroughput(items, windowDays), [items, windowDays]);
+  const totalSampled = samples.reduce((sum, value) => sum + value, 0);
+
+  const whenResult = useMemo(() => forecastWhen(samples, itemCount), [samples, itemCount]);
+
+  // A data alvo conta o dia de hoje como primeiro dia de trabalho
+  const daysUntilTarget = targetDate
+    ? calendarDaysBetween(today, fromInputDate(targetDate)) + 1
+    : 0;
+  const lastTargetDate = addDays(today, MAX_TARGET_DAYS - 1);
+  const howManyResult = useMemo(
+    () => (daysUntilTarget <= MAX_TARGET_DAYS ? forecastHowMany(samples, daysUntilTarget) : null),
+    [samples, daysUntilTarget]
+  );
+
+  return (
+    <div className="text-sm">
+      <div className="flex flex-wrap items-end gap-4 mb-4">
+        <div>
+          <label htmlFor="forecast-window" className="block font-semibold text-gray-700 mb-1">Janela de amostragem</label>
+          <select
+            id="forecast-window"
+            value={windowDays}
+            onChange={(e) => setWindowDays(Number(e.target.value))}
+            className="border border-gray-300 rounded px-2 py-1"
+          >
+            {SAMPLING_WINDOWS.map(({ days, label }) => (
+              <option key={days} value={days}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <p className="text-gray-500">
+          {samples.length} dias amostrados · {totalSampled} itens concluídos ·
+          média de {samples.length > 0 ? (totalSampled / samples.length).toFixed(2) : 0} itens/dia
+        </p>
+      </div>
+
+      {totalSampled === 0 ? (
+        <div className="p-4 bg-yellow-50 border border-yellow-200 rounded text-yellow-800">
+          Nenhum item concluído na janela selecionada. Escolha uma janela maior ou ative mais tipos.
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="p-4 rounded-lg border border-gray-200">
+            <h3 className="font-semibold text-gray-800 mb-2">Quando N itens estarão prontos?</h3>
+            <label htmlFor="forecast-items" className="block text-gray-600 mb-1">Quantidade de itens</label>
+            <input
+              id="forecast-items"
+              type="number"
+              min="1"
+              value={itemCount}
+              onChange={(e) => setItemCount(Math.max(0, Number(e.target.value)))}
+              className="border border-gray-300 rounded px-2 py-1 w-24 mb-3"
+            />
+            {whenResult && (
+              <table className="w-full">
+                <tbody>
+                  {whenResult.levels.map(({ level, days }) => (
+                    <tr key={level} className="border-t">
+                      <td className="py-1 font-semibold">{Math.round(level * 100)}%</td>
+                      <td className="py-1">até {formatDate(addDays(today, days - 1))}</td>
+                      <td className="py-1 text-gray-500">{days} dias</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {whenResult && whenResult.capped && (
+              <p className="text-yellow-700 mt-2">⚠️ Algumas simulações não concluíram os itens em 10 anos.</p>
+            )}
+          </div>
+
+          <div className="p-4 rounded-lg border border-gray-200">
+            <h3 className="font-semibold text-gray-800 mb-2">Quantos itens até a data X?</h3>
+            <label htmlFor="forecast-date" className="block text-gray-600 mb-1">Data alvo</label>
+            <input
+              id="forecast-date"
+              type="date"
+              min={toInputDate(today)}
+              max={toInputDate(lastTargetDate)}
+              value={targetDate}
+              onChange={(e) => setTargetDate(e.target.value)}
+              className="border border-gray-300 rounded px-2 py-1 mb-3"
+            />
+            {howManyResult ? (
+              <table className="w-full">
+                <tbody>
+                  {howManyResult.levels.map(({ level, items: count }) => (
+                    <tr key={level} className="border-t">
+                      <td className="py-1 font-semibold">{Math.round(level * 100)}%</td>
+                      <td className="py-1">pelo menos {count} itens</td>
+                      <td className="py-1 text-gray-500">em {daysUntilTarget} dias</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : (
+              <p className="text-gray-500">Escolha uma data entre hoje e {formatDate(lastTargetDate)}.</p>
+            )}
+          </div>
+        </div>
+      )}
+
+      <p className="text-xs text-gray-400 mt-4">
+        10.000 simulações sorteando o throughput diário histórico dos grupos selecionados.
+      </p>
+    </div>
+  );
+};
+
+export default ForecastPanel;
@@ -0,0 +1,159 @@
+import React, { useState, useMemo } from 'react';
+import { formatDate } from './dateParsing';
+import { percentileRank, formatNumber } from './statistics';
+import { ANNOTATION_CATEGORIES } from './annotations';
+
+const COLUMNS = [
+  { key: 'id', label: 'ID', value: item => item.id },
+  { key: 'type', label: 'Tipo', value: item => item.type },
+  { key: 'commitedDate', label: 'Commited', value: item => item.commitedDate.getTime() },
+  { key: 'closedDate', label: 'Closed', value: item => item.closedDate.getTime() },
+  { key: 'leadTime', label: 'Lead Time', value: item => item.leadTime },
+  { key: 'rank', label: 'Percentil', value: item => item.rank },
+  { key: 'annotation', label: 'Anotação', value: item => (item.annotation ? item.annotation.category : '') }
+];
+
+// Tabelas muito longas travam o navegador; a busca e a seleção no gráfico refinam o restante
+const MAX_ROWS = 500;
+
+// Link externo do item a partir de um template como "https://jira.local/browse/{id}"
+const buildItemUrl = (template, id) =>
+  template && template.includes('{id}') ? template.replace(/\{id\}/g, encodeURIComponent(id)) : null;
+
+// Tabela dos itens filtrados, ligada ao scatter: a linha escolhida destaca o ponto e a seleção no gráfico filtra a tabela
+const ItemTable = ({
+  items,
+  leadTimes,
+  unit,
+  selectedIds,
+  onClearSelection,
+  highlightedId,
+  onHighlight,
+  urlTemplate,
+  onUrlTemplateChange
+}) => {
+  const [search, setSearch] = useState('');
+  const [sort, setSort] = useState({ key: 'leadTime', direction: 'desc' });
+
+  const rows = useMemo(() => {
+    const query = search.trim().toLowerCase();
+    const selected = selectedIds ? new Set(selectedIds) : null;
+    const column = COLUMNS.find(({ key }) => key === sort.key);
+    const direction = sort.direction === 'asc' ? 1 : -1;
+
+    return items
+      .filter(item => !selected || selected.has(item.id))
+      .filter(item => !query || [item.id, item.type, item.group].some(value => value.toLowerCase().includes(query)))
+      .map(item => ({ ...item, rank: percentileRank(leadTimes, item.leadTime) }))
+      .sort((a, b) => {
+        const valueA = column.value(a);
+        const valueB = column.value(b);
+        if (valueA === valueB) return 0;
+        return (valueA > valueB ? 1 : -1) * direction;
+      });
+  }, [items, leadTimes, selectedIds, search, sort]);
+
+  const toggleSort = (key) => {
+    setSort(current => ({
+      key,
+      direction: current.key === key && current.direction === 'desc' ? 'asc' : 'desc'
+    }));
+  };
+
+  return (
+    <div className="mt-6 text-sm">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <div className="flex items-center gap-2">
+          <h3 className="font-semibold text-gray-800">Itens ({rows.length})</h3>
+          {selectedIds && (
+            <span className="flex items-center gap-1 bg-blue-100 text-blue-800 px-2 py-1 rounded">
+              {selectedIds.length} selecionados no gráfico
+              <button onClick={onClearSelection} className="ml-1 opacity-60 hover:opacity-100" title="Limpar seleção">
+                ×
+              </button>
+            </span>
+          )}
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Buscar ID, tipo ou grupo"
+            aria-label="Buscar itens"
+            className="border border-gray-300 rounded px-2 py-1"
+          />
+          <input
+            type="text"
+            value={urlTemplate}
+            onChange={(e) => onUrlTemplateChange(e.target.value)}
+            placeholder="Link do ID: https://jira.local/browse/{id}"
+            aria-label="Template de link do ID"
+            className="border border-gray-300 rounded px-2 py-1 w-72"
+          />
+        </div>
+      </div>
+      <p className="text-xs text-gray-500 mb-2">
+        Clique em um ponto para anotá-lo ou arraste no gráfico para desenhar um laço e filtrar a tabela.
+      </p>
+
+      <div className="overflow-auto border rounded" style={{maxHeight: '360px'}}>
+        <table className="w-full">
+          <thead className="bg-gray-100 text-gray-700 sticky top-0">
+            <tr>
+              {COLUMNS.map(({ key, label }) => (
+                <th key={key} className="text-left px-3 py-2">
+                  <button onClick={() => toggleSort(key)} className="font-semibold">
+                    {label}{sort.key === key ? (sort.direction === 'asc' ? ' ▲' : ' ▼') : ''}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.slice(0, MAX_ROWS).map(item => {
+              const url = buildItemUrl(urlTemplate, item.id);
+              return (
+                <tr
+                  key={item.id}
+                  onClick={() => onHighlight(highlightedId === item.id ? null : item.id)}
+                  className={`border-t cursor-pointer ${highlightedId === item.id ? 'bg-yellow-100' : 'hover:bg-gray-50'}`}
+                >
+                  <td className="px-3 py-1 font-mono">
+                    {url ? (
+                      <a
+                        href={url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        onClick={(e) => e.stopPropagation()}
+                        className="text-blue-600 hover:text-blue-800"
+                      >
+                        {item.id}
+                      </a>
+                    ) : item.id}
+                  </td>
+                  <td className="px-3 py-1">{item.type}</td>
+                  <td className="px-3 py-1">{formatDate(item.commitedDate)}</td>
+                  <td className="px-3 py-1">{item.dateFormatted}</td>
+                  <td className="px-3 py-1">{item.leadTime} {unit}</td>
+                  <td className="px-3 py-1">P{formatNumber(item.rank, 0)}</td>
+                  <td className="px-3 py-1 text-gray-600" title={item.annotation ? item.annotation.reason : undefined}>
+                    {item.annotation && ANNOTATION_CATEGORIES[item.annotation.category]}
+                    {item.annotation && item.annotation.excluded && ' · excluído'}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      {rows.length > MAX_ROWS && (
+        <p className="text-xs text-gray-500 mt-1">
+          Mostrando {MAX_ROWS} de {rows.length} itens. Use a busca ou a seleção no gráfico para refinar.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ItemTable;
@@ -0,0 +1,121 @@
+import React, { useState, useMemo } from 'react';
+import { ComposedChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend, ReferenceLine } from 'recharts';
+import { BUCKET_SIZES, buildHistogram, summarize, formatNumber, FAT_TAIL_THRESHOLD } from './statistics';
+import { isExcluded } from './annotations';
+
+// Histograma da distribuição de lead time, sobreposto por grupo
+const LeadTimeHistogram = ({ items, groups, referenceLines, unit }) => {
+  const [bucketSize, setBucketSize] = useState(1);
+
+  const histogram = useMemo(
+    () => buildHistogram(items, groups.map(({ group }) => group), bucketSize),
+    [items, groups, bucketSize]
+  );
+
+  // Itens excluídos por anotação continuam nas barras, mas ficam fora das estatísticas
+  const stats = useMemo(
+    () => summarize(items.filter(item => !isExcluded(item)).map(item => item.leadTime)),
+    [items]
+  );
+
+  const bucketLabel = (x) => {
+    const start = x + 0.5;
+    const end = start + bucketSize - 1;
+    return bucketSize === 1 ? `${start} ${unit}` : `${start}–${end} ${unit}`;
+  };
+
+  if (items.length === 0) {
+    return <p className="text-sm text-gray-500">Nenhum item nos grupos selecionados.</p>;
+  }
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-end justify-between gap-4 mb-4 text-sm">
+        <div>
+          <span className="block font-semibold text-gray-700 mb-1">Tamanho do bucket</span>
+          <div className="flex gap-1">
+            {BUCKET_SIZES.map(size => (
+              <button
+                key={size}
+                onClick={() => setBucketSize(size)}
+                className={`px-3 py-1 rounded transition-all ${
+                  bucketSize === size ? 'bg-blue-100 text-blue-800' : 'bg-gray-100 text-gray-500'
+                }`}
+              >
+                {size}d
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="flex flex-wrap gap-4 text-gray-700">
+          <span>Mediana: <strong>{formatNumber(stats.median)}</strong> {unit}</span>
+          <span>Média: <strong>{formatNumber(stats.mean)}</strong> {unit}</span>
+          <span>Desvio padrão: <strong>{formatNumber(stats.stdDev)}</strong> {unit}</span>
+          <span
+            className={stats.fatTail ? 'text-red-700' : 'text-green-700'}
+            title={`Razão P98/P50; acima de ${formatNumber(FAT_TAIL_THRESHOLD)} indica cauda longa`}
+          >
+            Cauda (P98/P50): <strong>{formatNumber(stats.tailRatio)}</strong>
+            {stats.fatTail ? ' · cauda longa' : ' · cauda curta'}
+          </span>
+        </div>
+      </div>
+
+      <ResponsiveContainer width="100%" height={500}>
+        <ComposedChart data={histogram} margin={{ top: 20, right: 30, bottom: 40, left: 60 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
+          <XAxis
+            type="number"
+            dataKey="x"
+            domain={['dataMin', 'dataMax']}
+            ticks={histogram.slice(0, -1).map(bucket => bucket.start)}
+            label={{ value: `Lead Time (${unit})`, position: 'insideBottom', offset: -10 }}
+            height={60}
+            stroke="#666"
+          />
+          <YAxis
+            allowDecimals={false}
+            label={{ value: 'Itens', angle: -90, position: 'insideLeft' }}
+            stroke="#666"
+          />
+          <Tooltip labelFormatter={bucketLabel} />
+          <Legend verticalAlign="top" />
+
+          {groups.map(({ group, color }) => (
+            <Area
+              key={group}
+              type="stepAfter"
+              dataKey={(bucket) => bucket.counts[group]}
+              name={group}
+              stroke={color}
+              fill={color}
+              fillOpacity={0.25}
+              isAnimationActive={false}
+            />
+          ))}
+
+          {referenceLines.map(line => (
+            <ReferenceLine
+              key={line.key}
+              x={line.value}
+              stroke={line.color}
+              strokeDasharray={line.dash}
+              strokeWidth={2}
+              label={{ value: line.label, position: 'top', fill: line.color }}
+            />
+          ))}
+          <ReferenceLine
+            x={stats.mean}
+            stroke="#374151"
+            strokeDasharray="2 2"
+            strokeWidth={2}
+            label={{ value: `Média: ${formatNumber(stats.mean)} ${unit}`, position: 'insideTopRight', fill: '#374151' }}
+          />
+        </ComposedChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+export default LeadTimeHistogram;
@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { PERCENTILE_METHODS, formatNumber } from './statistics';
+
+// Controles das linhas de percentil: liga/desliga, adição, remoção e método de cálculo
+const PercentileControls = ({ lines, values, unit, onChange, method, onMethodChange, byGroup, onByGroupChange }) => {
+  const [newValue, setNewValue] = useState('');
+
+  const toggleLine = (value) => {
+    onChange(lines.map(line => (line.value === value ? { ...line, visible: !line.visible } : line)));
+  };
+
+  const removeLine = (value) => {
+    onChange(lines.filter(line => line.value !== value));
+  };
+
+  const addLine = () => {
+    const value = Number(newValue);
+    if (!(value > 0 && value < 100) || lines.some(line => line.value === value)) return;
+    onChange([...lines, { value, visible: true }].sort((a, b) => a.value - b.value));
+    setNewValue('');
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      {lines.map(line => (
+        <span
+          key={line.value}
+          className="flex items-center rounded transition-all"
+          style={line.visible
+            ? { backgroundColor: `${line.color}20`, color: line.color }
+            : { backgroundColor: '#f3f4f6', color: '#6b7280' }}
+        >
+          <button onClick={() => toggleLine(line.value)} className="flex items-center pl-3 pr-1 py-1">
+            <div className="w-4 h-0.5 mr-2" style={{borderTop: `2px dashed ${line.visible ? line.color : '#9ca3af'}`}}></div>
+            <span>P{line.value}: {formatNumber(values[line.value] || 0)} {unit}</span>
+          </button>
+          <button
+            onClick={() => removeLine(line.value)}
+            className="pr-2 pl-1 py-1 opacity-60 hover:opacity-100"
+            title={`Remover P${line.value}`}
+          >
+            ×
+          </button>
+        </span>
+      ))}
+
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          addLine();
+        }}
+        className="flex items-center gap-1"
+      >
+        <input
+          type="number"
+          min="1"
+          max="99"
+          value={newValue}
+          onChange={(e) => setNewValue(e.target.value)}
+          placeholder="P"
+          aria-label="Novo percentil"
+          className="border border-gray-300 rounded px-2 py-1 w-16"
+        />
+        <button type="submit" className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-2 py-1 rounded">
+          + Percentil
+        </button>
+      </form>
+
+      <select
+        value={method}
+        onChange={(e) => onMethodChange(e.target.value)}
+        aria-label="Método de cálculo do percentil"
+        className="border border-gray-300 rounded px-2 py-1"
+      >
+        {Object.entries(PERCENTILE_METHODS).map(([key, label]) => (
+          <option key={key} value={key}>{label}</option>
+        ))}
+      </select>
+
+      <label className="flex items-center gap-1 text-gray-700">
+        <input type="checkbox" checked={byGroup} onChange={(e) => onByGroupChange(e.target.checked)} />
+        Por grupo
+      </label>
+    </div>
+  );
+};
+
+export default PercentileControls;
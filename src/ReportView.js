@@ -0,0 +1,58 @@
+import React from 'react';
+import { svgDataUrl } from './download';
+
+// Relatório de uma página para impressão ou PDF, com o gráfico congelado no momento da geração
+const ReportView = ({ title, fileName, chartSvg, details, percentiles, children, onClose }) => (
+  <div className="w-full min-h-screen bg-white p-6 print:p-0">
+    <style>{'@media print { @page { size: A4 landscape; margin: 10mm; } }'}</style>
+
+    <div className="flex justify-end gap-2 mb-4 print:hidden">
+      <button
+        onClick={() => window.print()}
+        className="bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-lg text-sm transition-colors"
+      >
+        🖨️ Imprimir / Salvar PDF
+      </button>
+      <button
+        onClick={onClose}
+        className="bg-gray-500 hover:bg-gray-600 text-white px-4 py-2 rounded-lg text-sm transition-colors"
+      >
+        ⬅️ Voltar ao dashboard
+      </button>
+    </div>
+
+    <div className="flex justify-between items-baseline border-b border-gray-200 pb-2 mb-3">
+      <h1 className="text-xl font-bold text-gray-800">{title}</h1>
+      <p className="text-xs text-gray-500">
+        {fileName} · gerado em {new Date().toLocaleString('pt-BR')}
+      </p>
+    </div>
+
+    <div className="flex flex-wrap gap-x-6 gap-y-1 text-xs text-gray-700 mb-3">
+      {details.map(({ label, value }) => (
+        <span key={label}><strong>{label}:</strong> {value}</span>
+      ))}
+    </div>
+
+    {chartSvg && (
+      <img
+        src={svgDataUrl(chartSvg)}
+        alt={title}
+        className="w-full mb-3"
+        style={{ maxHeight: '95mm', objectFit: 'contain' }}
+      />
+    )}
+
+    {percentiles.length > 0 && (
+      <p className="text-sm text-gray-800 mb-3">
+        {percentiles.join(' · ')}
+      </p>
+    )}
+
+    <div className="text-xs" style={{ breakInside: 'avoid' }}>
+      {children}
+    </div>
+  </div>
+);
+
+export default ReportView;
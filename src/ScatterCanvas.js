@@ -0,0 +1,66 @@
+import React, { useRef, useEffect } from 'react';
+
+const POINT_RADIUS = 3;
+const BREACH_COLOR = '#dc2626';
+
+// Pontos do scatter desenhados num canvas, para volumes em que um elemento SVG por ponto trava a página.
+// Usado via <Customized>: o recharts injeta a área do gráfico (offset) e as escalas dos eixos
+const ScatterCanvas = ({ xAxisMap, yAxisMap, offset, groups, pointStyle }) => {
+  const canvasRef = useRef(null);
+  const xScale = Object.values(xAxisMap)[0].scale;
+  const yScale = Object.values(yAxisMap)[0].scale;
+
+  // Eixos numéricos são lineares; com domínio e faixa o desenho não depende do objeto de escala,
+  // que o recharts recria a cada render
+  const [xMin, xMax] = xScale.domain();
+  const [xStart, xEnd] = xScale.range();
+  const [yMin, yMax] = yScale.domain();
+  const [yStart, yEnd] = yScale.range();
+  const { left, top, width, height } = offset;
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    const context = canvas.getContext('2d');
+    context.scale(ratio, ratio);
+    context.lineWidth = 1;
+
+    const toX = (value) => xStart + ((value - xMin) / (xMax - xMin || 1)) * (xEnd - xStart) - left;
+    const toY = (value) => yStart + ((value - yMin) / (yMax - yMin || 1)) * (yEnd - yStart) - top;
+
+    groups.forEach(({ group, color, data }) => {
+      data.forEach(item => {
+        const x = toX(item.timestamp);
+        const y = toY(item.leadTime);
+        const { fill, stroke, breaching } = pointStyle(item, group, color);
+
+        context.beginPath();
+        context.arc(x, y, POINT_RADIUS, 0, 2 * Math.PI);
+        context.fillStyle = fill;
+        context.fill();
+        if (stroke) {
+          context.strokeStyle = stroke;
+          context.stroke();
+        }
+        if (breaching) {
+          context.beginPath();
+          context.arc(x, y, POINT_RADIUS + 2.5, 0, 2 * Math.PI);
+          context.strokeStyle = BREACH_COLOR;
+          context.stroke();
+        }
+      });
+    });
+  }, [groups, pointStyle, xMin, xMax, xStart, xEnd, yMin, yMax, yStart, yEnd, left, top, width, height]);
+
+  return (
+    <foreignObject x={left} y={top} width={width} height={height} style={{ pointerEvents: 'none' }}>
+      <canvas ref={canvasRef} style={{ width: `${width}px`, height: `${height}px`, display: 'block' }} />
+    </foreignObject>
+  );
+};
+
+export default ScatterCanvas;
@@ -0,0 +1,114 @@
+import React, { useState, useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend, ReferenceLine } from 'recharts';
+import { SLE_PERIODS, buildBreachSeries, summarizeSle, allowedBreachRate } from './sle';
+import { formatNumber } from './statistics';
+
+// Taxa de violação do SLE ao longo do tempo, com o limite tolerado de cada grupo
+const SleBreachChart = ({ items, groups, targets, unit }) => {
+  const [period, setPeriod] = useState('week');
+  const targetGroups = groups.filter(({ group }) => targets[group]);
+
+  const series = useMemo(() => buildBreachSeries(items, targets, period), [items, targets, period]);
+
+  if (targetGroups.length === 0) {
+    return (
+      <div className="p-8 text-center text-gray-500 border rounded-lg">
+        Nenhum SLE definido para os grupos visíveis. Use o botão 🎯 SLE para definir, por exemplo, 85% dos itens em 10 {unit}.
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-end justify-between gap-4 mb-4 text-sm">
+        <table className="text-sm">
+          <thead className="text-gray-700">
+            <tr>
+              <th className="text-left pr-4">Grupo</th>
+              <th className="text-left pr-4">SLE</th>
+              <th className="text-left pr-4">No prazo</th>
+              <th className="text-left pr-4">Violações</th>
+            </tr>
+          </thead>
+          <tbody>
+            {targetGroups.map(({ group, color }) => {
+              const target = targets[group];
+              const summary = summarizeSle(items.filter(item => item.group === group), target);
+              return (
+                <tr key={group}>
+                  <td className="pr-4 font-semibold" style={{ color }}>{group}</td>
+                  <td className="pr-4">{target.percentile}% em {target.days} {unit}</td>
+                  <td className={`pr-4 ${summary.met ? 'text-green-700' : 'text-red-700'}`}>
+                    {summary.withinRate === null ? '—' : `${formatNumber(summary.withinRate)}% ${summary.met ? '✅' : '❌'}`}
+                  </td>
+                  <td className="pr-4">{summary.breaches} de {summary.total}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+
+        <div>
+          <span className="block font-semibold text-gray-700 mb-1">Período</span>
+          <div className="flex gap-1">
+            {Object.entries(SLE_PERIODS).map(([key, label]) => (
+              <button
+                key={key}
+                onClick={() => setPeriod(key)}
+                className={`px-3 py-1 rounded transition-all ${
+                  period === key ? 'bg-blue-100 text-blue-800' : 'bg-gray-100 text-gray-500'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <ResponsiveContainer width="100%" height={500}>
+        <LineChart data={series} margin={{ top: 20, right: 30, bottom: 40, left: 60 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
+          <XAxis dataKey="label" stroke="#666" height={60} />
+          <YAxis
+            domain={[0, 100]}
+            unit="%"
+            label={{ value: 'Violações do SLE', angle: -90, position: 'insideLeft' }}
+            stroke="#666"
+          />
+          <Tooltip
+            formatter={(value, name, { payload }) => {
+              const counts = payload.counts[name];
+              if (!counts) return ['sem entregas', name];
+              return [`${formatNumber(value)}% (${counts.breaches} de ${counts.total})`, name];
+            }}
+          />
+          <Legend />
+
+          {targetGroups.map(({ group, color }) => (
+            <Line
+              key={group}
+              type="monotone"
+              dataKey={(bucket) => bucket.rates[group]}
+              name={group}
+              stroke={color}
+              strokeWidth={2}
+              connectNulls
+            />
+          ))}
+          {targetGroups.map(({ group, color }) => (
+            <ReferenceLine
+              key={`limit-${group}`}
+              y={allowedBreachRate(targets[group])}
+              stroke={color}
+              strokeDasharray="5 5"
+              label={{ value: `Limite ${group}: ${allowedBreachRate(targets[group])}%`, position: 'insideTopRight' }}
+            />
+          ))}
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+export default SleBreachChart;
@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { DEFAULT_SLE } from './sle';
+
+const SLE_PERCENTILES = [50, 70, 80, 85, 90, 95];
+
+// Definição dos SLEs por grupo: percentual de itens e prazo em dias
+const SleSettings = ({ groups, targets, onChange, unit }) => {
+  const [open, setOpen] = useState(false);
+  const targetCount = groups.filter(({ group }) => targets[group]).length;
+
+  const updateTarget = (group, changes) => {
+    onChange({ ...targets, [group]: { ...(targets[group] || DEFAULT_SLE), ...changes } });
+  };
+
+  const removeTarget = (group) => {
+    const { [group]: removed, ...rest } = targets;
+    onChange(rest);
+  };
+
+  return (
+    <div className="relative text-sm">
+      <button
+        onClick={() => setOpen(!open)}
+        className={`flex items-center px-3 py-1 rounded transition-all ${
+          targetCount > 0 ? 'bg-rose-100 text-rose-800' : 'bg-gray-100 text-gray-500'
+        }`}
+      >
+        🎯 SLE{targetCount > 0 ? ` (${targetCount})` : ''}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 top-full mt-2 z-10 bg-white border border-gray-200 rounded-lg shadow-lg p-4 w-96">
+          <p className="font-semibold text-gray-800 mb-1">Service Level Expectation</p>
+          <p className="text-xs text-gray-500 mb-3">
+            Ex.: 85% dos itens concluídos em até 10 {unit}. Pontos acima do prazo são destacados no gráfico.
+          </p>
+          <div className="space-y-2">
+            {groups.map(({ group, color }) => {
+              const target = targets[group];
+              return (
+                <div key={group} className="flex items-center gap-2">
+                  <span className="flex-1 flex items-center truncate" title={group}>
+                    <span className="w-3 h-3 rounded-full mr-2 shrink-0" style={{ backgroundColor: color }}></span>
+                    {group}
+                  </span>
+                  {target ? (
+                    <>
+                      <select
+                        value={target.percentile}
+                        onChange={(e) => updateTarget(group, { percentile: Number(e.target.value) })}
+                        aria-label={`Percentual do SLE de ${group}`}
+                        className="border border-gray-300 rounded px-1 py-1"
+                      >
+                        {SLE_PERCENTILES.map(value => (
+                          <option key={value} value={value}>{value}%</option>
+                        ))}
+                      </select>
+                      <span className="text-gray-500">em</span>
+                      <input
+                        type="number"
+                        min="1"
+                        value={target.days}
+                        onChange={(e) => {
+                          const days = Number(e.target.value);
+                          if (days > 0) updateTarget(group, { days });
+                        }}
+                        aria-label={`Prazo do SLE de ${group}`}
+                        className="border border-gray-300 rounded px-1 py-1 w-16"
+                      />
+                      <span className="text-gray-500">{unit}</span>
+                      <button
+                        onClick={() => removeTarget(group)}
+                        className="opacity-60 hover:opacity-100"
+                        title={`Remover SLE de ${group}`}
+                      >
+                        ×
+                      </button>
+                    </>
+                  ) : (
+                    <button
+                      onClick={() => updateTarget(group, {})}
+                      className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-2 py-1 rounded"
+                    >
+                      Definir SLE
+                    </button>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SleSettings;
@@ -0,0 +1,128 @@
+import React, { useState, useMemo } from 'react';
+import { ComposedChart, Bar, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend } from 'recharts';
+import { GRANULARITIES, buildThroughputSeries, startOfWeek } from './throughput';
+import { toInputDate, fromInputDate } from './dateParsing';
+import { minOf } from './statistics';
+
+const SPRINT_LENGTHS = [1, 2, 3, 4];
+
+// Run chart de throughput por período, empilhado por grupo
+const ThroughputChart = ({ items, groups }) => {
+  const [granularity, setGranularity] = useState('week');
+  const [rollingPeriods, setRollingPeriods] = useState(4);
+  const [sprintWeeks, setSprintWeeks] = useState(2);
+  const [sprintStart, setSprintStart] = useState('');
+
+  const firstClosedDate = useMemo(() => {
+    if (items.length === 0) return new Date();
+    return new Date(minOf(items.map(item => item.closedDate.getTime())));
+  }, [items]);
+
+  // Sem início configurado, a primeira sprint começa na semana do primeiro item
+  const defaultSprintStart = useMemo(() => startOfWeek(firstClosedDate), [firstClosedDate]);
+
+  const series = useMemo(() => {
+    const start = sprintStart ? fromInputDate(sprintStart) : defaultSprintStart;
+    return buildThroughputSeries(
+      items,
+      groups.map(({ group }) => group),
+      granularity,
+      { sprint: { start, lengthDays: sprintWeeks * 7 }, rollingPeriods }
+    );
+  }, [items, groups, granularity, sprintStart, defaultSprintStart, sprintWeeks, rollingPeriods]);
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-end gap-4 mb-4 text-sm">
+        <div>
+          <span className="block font-semibold text-gray-700 mb-1">Agrupar por</span>
+          <div className="flex gap-1">
+            {Object.entries(GRANULARITIES).map(([key, label]) => (
+              <button
+                key={key}
+                onClick={() => setGranularity(key)}
+                className={`px-3 py-1 rounded transition-all ${
+                  granularity === key ? 'bg-blue-100 text-blue-800' : 'bg-gray-100 text-gray-500'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {granularity === 'sprint' && (
+          <>
+            <div>
+              <label htmlFor="sprint-length" className="block font-semibold text-gray-700 mb-1">Duração da sprint</label>
+              <select
+                id="sprint-length"
+                value={sprintWeeks}
+                onChange={(e) => setSprintWeeks(Number(e.target.value))}
+                className="border border-gray-300 rounded px-2 py-1"
+              >
+                {SPRINT_LENGTHS.map(weeks => (
+                  <option key={weeks} value={weeks}>{weeks} {weeks === 1 ? 'semana' : 'semanas'}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="sprint-start" className="block font-semibold text-gray-700 mb-1">Início da sprint 1</label>
+              <input
+                id="sprint-start"
+                type="date"
+                value={sprintStart || toInputDate(defaultSprintStart)}
+                max={toInputDate(firstClosedDate)}
+                onChange={(e) => setSprintStart(e.target.value)}
+                className="border border-gray-300 rounded px-2 py-1"
+              />
+            </div>
+          </>
+        )}
+
+        <div>
+          <label htmlFor="rolling-periods" className="block font-semibold text-gray-700 mb-1">Média móvel</label>
+          <select
+            id="rolling-periods"
+            value={rollingPeriods}
+            onChange={(e) => setRollingPeriods(Number(e.target.value))}
+            className="border border-gray-300 rounded px-2 py-1"
+          >
+            {[2, 3, 4, 6, 8, 12].map(periods => (
+              <option key={periods} value={periods}>{periods} períodos</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <ResponsiveContainer width="100%" height={500}>
+        <ComposedChart data={series} margin={{ top: 20, right: 30, bottom: 40, left: 60 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
+          <XAxis dataKey="label" stroke="#666" height={60} />
+          <YAxis
+            allowDecimals={false}
+            label={{ value: 'Itens concluídos', angle: -90, position: 'insideLeft' }}
+            stroke="#666"
+          />
+          <Tooltip />
+          <Legend />
+
+          {groups.map(({ group, color }) => (
+            <Bar key={group} dataKey={(bucket) => bucket.counts[group]} name={group} stackId="throughput" fill={color} />
+          ))}
+          <Line
+            type="monotone"
+            dataKey="rollingAverage"
+            name={`Média móvel (${rollingPeriods})`}
+            stroke="#374151"
+            strokeWidth={2}
+            strokeDasharray="5 5"
+            dot={false}
+          />
+        </ComposedChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+export default ThroughputChart;
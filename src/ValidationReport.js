@@ -0,0 +1,119 @@
+import React from 'react';
+import { issuesToCSV } from './csvProcessing';
+import { downloadFile } from './download';
+
+const STATUS_COLORS = {
+  rejeitada: 'text-red-700',
+  ignorada: 'text-yellow-700',
+  conflito: 'text-blue-700'
+};
+
+// Relatório das linhas rejeitadas ou ignoradas e dos conflitos de ID durante a importação
+const ValidationReport = ({ fileName, result, onContinue, onCancel }) => {
+  const { items, openItems, issues, totalRows, sources } = result;
+  const countStatus = (status) => issues.filter(issue => issue.status === status).length;
+  const multipleFiles = sources.length > 1;
+  // Só itens em andamento já bastam para o Aging WIP
+  const canContinue = items.length + openItems.length > 0;
+
+  const downloadReport = () => {
+    const baseName = fileName.replace(/\.csv$/i, '');
+    downloadFile(issuesToCSV(issues), `${baseName}-validacao.csv`, 'text/csv;charset=utf-8');
+  };
+
+  return (
+    <div className="w-full h-screen bg-gray-50 flex items-center justify-center p-6">
+      <div className="bg-white p-8 rounded-lg shadow-lg max-w-3xl w-full flex flex-col" style={{maxHeight: '90vh'}}>
+        <h2 className="text-xl font-bold text-gray-800 mb-1">Relatório de Validação</h2>
+        <div className="text-gray-600 text-sm mb-4">
+          <p>
+            Arquivo: <span className="font-semibold">{fileName}</span> · {totalRows} linhas de dados
+          </p>
+          {multipleFiles && (
+            <p>{sources.map(({ fileName: source, count }) => `${source}: ${count} itens`).join(' · ')}</p>
+          )}
+        </div>
+
+        <div className="grid grid-cols-4 gap-4 text-sm mb-4">
+          <div className="p-3 rounded-lg border bg-green-50 border-green-200 text-green-800">
+            <p className="font-semibold">Válidas</p>
+            <p className="text-2xl">{items.length}</p>
+          </div>
+          <div className="p-3 rounded-lg border bg-red-50 border-red-200 text-red-800">
+            <p className="font-semibold">Rejeitadas</p>
+            <p className="text-2xl">{countStatus('rejeitada')}</p>
+          </div>
+          <div className="p-3 rounded-lg border bg-yellow-50 border-yellow-200 text-yellow-800">
+            <p className="font-semibold">Ignoradas</p>
+            <p className="text-2xl">{countStatus('ignorada')}</p>
+          </div>
+          <div className="p-3 rounded-lg border bg-blue-50 border-blue-200 text-blue-800">
+            <p className="font-semibold">Conflitos de ID</p>
+            <p className="text-2xl">{countStatus('conflito')}</p>
+          </div>
+        </div>
+
+        {openItems.length > 0 && (
+          <p className="text-sm text-gray-600 mb-4">
+            {openItems.length} itens sem Closed Date serão tratados como trabalho em andamento.
+          </p>
+        )}
+
+        <div className="flex-1 overflow-auto border rounded mb-4">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-100 text-gray-700 sticky top-0">
+              <tr>
+                {multipleFiles && <th className="text-left px-3 py-2">Arquivo</th>}
+                <th className="text-left px-3 py-2">Linha</th>
+                <th className="text-left px-3 py-2">ID</th>
+                <th className="text-left px-3 py-2">Status</th>
+                <th className="text-left px-3 py-2">Motivo</th>
+              </tr>
+            </thead>
+            <tbody>
+              {issues.map((issue, index) => (
+                <tr key={index} className="border-t">
+                  {multipleFiles && <td className="px-3 py-1 text-gray-500">{issue.source}</td>}
+                  <td className="px-3 py-1 text-gray-500">{issue.line || '—'}</td>
+                  <td className="px-3 py-1 font-mono">{issue.id || '—'}</td>
+                  <td className={`px-3 py-1 ${STATUS_COLORS[issue.status]}`}>
+                    {issue.status}
+                  </td>
+                  <td className="px-3 py-1">{issue.reason}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="flex justify-between gap-2">
+          <button
+            onClick={downloadReport}
+            className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-4 py-2 rounded-lg text-sm transition-colors"
+          >
+            📥 Baixar relatório CSV
+          </button>
+          <div className="flex gap-2">
+            <button
+              onClick={onCancel}
+              className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-4 py-2 rounded-lg text-sm transition-colors"
+            >
+              Cancelar
+            </button>
+            <button
+              onClick={onContinue}
+              disabled={!canContinue}
+              className={`px-4 py-2 rounded-lg text-sm transition-colors text-white ${
+                canContinue ? 'bg-blue-500 hover:bg-blue-600' : 'bg-gray-300 cursor-not-allowed'
+              }`}
+            >
+              Continuar com {items.length} linhas válidas{openItems.length > 0 && ` e ${openItems.length} em andamento`}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ValidationReport;
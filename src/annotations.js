@@ -0,0 +1,34 @@
+import Papa from 'papaparse';
+import { toInputDate } from './dateParsing';
+
+// Categorias de anotação para itens fora do padrão
+export const ANNOTATION_CATEGORIES = {
+  blockedExternal: 'Bloqueado externamente',
+  waitingCustomer: 'Aguardando cliente',
+  dependency: 'Dependência de outro time',
+  scopeChange: 'Mudança de escopo',
+  deprioritized: 'Despriorizado',
+  dataError: 'Erro de registro',
+  other: 'Outro'
+};
+
+export const EMPTY_ANNOTATION = { category: 'blockedExternal', reason: '', excluded: false };
+
+export const isExcluded = (item) => Boolean(item.annotation && item.annotation.excluded);
+
+// Anotações do dataset com os dados do item, para revisão fora do dashboard
+export const annotationsToCSV = (annotations, items) => {
+  const itemsById = new Map(items.map(item => [item.id, item]));
+  return Papa.unparse(Object.entries(annotations).map(([id, annotation]) => {
+    const item = itemsById.get(id);
+    return {
+      ID: id,
+      'Tipo de Item': item ? item.type : '',
+      'Closed Date': item && item.closedDate ? toInputDate(item.closedDate) : '',
+      leadTime: item && item.leadTime !== undefined ? item.leadTime : '',
+      Categoria: ANNOTATION_CATEGORIES[annotation.category] || annotation.category,
+      Motivo: annotation.reason,
+      'Excluído das estatísticas': annotation.excluded ? 'sim' : 'não'
+    };
+  }));
+};
@@ -0,0 +1,141 @@
+import Papa from 'papaparse';
+import { addDays, calendarDaysBetween, startOfDay, toInputDate, parseDate, detectDateFormat } from './dateParsing';
+
+export const LEAD_TIME_MODES = {
+  calendar: 'Dias corridos',
+  business: 'Dias úteis'
+};
+
+// Índices de Date.getDay(), começando no domingo
+export const WEEKDAYS = ['Dom', 'Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb'];
+
+// Domingo de Páscoa (algoritmo de Meeus/Jones/Butcher)
+const easterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(year, month - 1, day);
+};
+
+const fixed = (year, month, day) => new Date(year, month - 1, day);
+
+// Calendários embutidos; novos calendários só precisam de um nome e da função de feriados por ano
+export const HOLIDAY_CALENDARS = {
+  brasil: {
+    name: 'Brasil — feriados nacionais',
+    holidays: (year) => [
+      fixed(year, 1, 1),
+      addDays(easterSunday(year), -2),
+      fixed(year, 4, 21),
+      fixed(year, 5, 1),
+      fixed(year, 9, 7),
+      fixed(year, 10, 12),
+      fixed(year, 11, 2),
+      fixed(year, 11, 15),
+      ...(year >= 2024 ? [fixed(year, 11, 20)] : []),
+      fixed(year, 12, 25)
+    ]
+  },
+  brasilFacultativos: {
+    name: 'Brasil — pontos facultativos (Carnaval e Corpus Christi)',
+    holidays: (year) => [
+      addDays(easterSunday(year), -48),
+      addDays(easterSunday(year), -47),
+      addDays(easterSunday(year), 60)
+    ]
+  }
+};
+
+export const DEFAULT_BUSINESS_CONFIG = {
+  workingDays: [1, 2, 3, 4, 5],
+  calendars: ['brasil'],
+  customHolidays: []
+};
+
+const STORAGE_KEY = 'leadtime:businessDays';
+
+export const loadBusinessConfig = () => {
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    const config = saved ? { ...DEFAULT_BUSINESS_CONFIG, ...JSON.parse(saved) } : DEFAULT_BUSINESS_CONFIG;
+    // Sem nenhum dia de trabalho todo item teria lead time de 1 dia
+    return config.workingDays.length > 0 ? config : { ...config, workingDays: DEFAULT_BUSINESS_CONFIG.workingDays };
+  } catch (err) {
+    return DEFAULT_BUSINESS_CONFIG;
+  }
+};
+
+export const saveBusinessConfig = (config) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(config));
+  } catch (err) {
+    console.warn('Não foi possível salvar o calendário de dias úteis:', err);
+  }
+};
+
+// Lê uma lista de feriados (uma data por linha, na primeira coluna); linhas sem data válida são ignoradas
+export const parseHolidayList = (content) => {
+  const rows = Papa.parse(content, { skipEmptyLines: true }).data;
+  const values = rows.map(row => String(row[0]).trim());
+  const { format } = detectDateFormat(values);
+
+  const dates = values
+    .map(value => parseDate(value, format))
+    .filter(Boolean)
+    .map(toInputDate);
+
+  return [...new Set(dates)].sort();
+};
+
+// Chave numérica do dia (AAAAMMDD): comparar números é bem mais barato que montar uma string por dia do loop
+const dayKey = (date) => date.getFullYear() * 10000 + (date.getMonth() + 1) * 100 + date.getDate();
+
+// Feriados dos calendários ativos e da lista importada; os calendários são gerados por ano, conforme as datas
+// consultadas, para que nenhum período dos dados fique sem feriados
+const createHolidayChecker = (config) => {
+  const holidays = new Set(config.customHolidays.map(value => Number(value.replace(/-/g, ''))));
+  const generatedYears = new Set();
+
+  return (date) => {
+    const year = date.getFullYear();
+    if (!generatedYears.has(year)) {
+      generatedYears.add(year);
+      config.calendars.forEach(key => {
+        const calendar = HOLIDAY_CALENDARS[key];
+        if (calendar) calendar.holidays(year).forEach(holiday => holidays.add(dayKey(holiday)));
+      });
+    }
+    return holidays.has(dayKey(date));
+  };
+};
+
+// Dias úteis entre as duas datas, contando as duas pontas; nunca menos de 1,
+// para que um item iniciado e concluído num fim de semana mantenha lead time mínimo
+export const businessDaysBetween = (start, end, workingDays, isHoliday) => {
+  let count = 0;
+  for (let day = startOfDay(start); day <= end; day = addDays(day, 1)) {
+    if (workingDays.includes(day.getDay()) && !isHoliday(day)) count++;
+  }
+  return Math.max(count, 1);
+};
+
+// Cria a função de medição de dias conforme o modo selecionado
+export const createDayCounter = (mode, config) => {
+  if (mode !== 'business') {
+    return (start, end) => calendarDaysBetween(start, end) + 1;
+  }
+
+  const isHoliday = createHolidayChecker(config);
+  return (start, end) => businessDaysBetween(start, end, config.workingDays, isHoliday);
+};
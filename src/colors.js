@@ -0,0 +1,60 @@
+// Cores predefinidas e automáticas para cada grupo (tipo de item ou valor da coluna de agrupamento)
+export const getColorForGroup = (group, index) => {
+  const predefinedColors = {
+    'User Story': '#3b82f6',
+    'Bug': '#ef4444'
+  };
+  
+  if (predefinedColors[group]) {
+    return predefinedColors[group];
+  }
+  
+  // Cores automáticas para outros grupos
+  const autoColors = ['#10b981', '#f59e0b', '#8b5cf6', '#f97316', '#06b6d4', '#84cc16', '#ec4899', '#6366f1'];
+  return autoColors[index % autoColors.length];
+};
+
+// Cores para backgrounds dos botões
+export const getBackgroundColorForGroup = (group, index) => {
+  const predefinedBgs = {
+    'User Story': { active: 'bg-blue-100 text-blue-800', inactive: 'bg-gray-100 text-gray-500' },
+    'Bug': { active: 'bg-red-100 text-red-800', inactive: 'bg-gray-100 text-gray-500' }
+  };
+  
+  if (predefinedBgs[group]) {
+    return predefinedBgs[group];
+  }
+  
+  // Backgrounds automáticos
+  const autoBgs = [
+    { active: 'bg-green-100 text-green-800', inactive: 'bg-gray-100 text-gray-500' },
+    { active: 'bg-yellow-100 text-yellow-800', inactive: 'bg-gray-100 text-gray-500' },
+    { active: 'bg-purple-100 text-purple-800', inactive: 'bg-gray-100 text-gray-500' },
+    { active: 'bg-orange-100 text-orange-800', inactive: 'bg-gray-100 text-gray-500' },
+    { active: 'bg-cyan-100 text-cyan-800', inactive: 'bg-gray-100 text-gray-500' },
+    { active: 'bg-lime-100 text-lime-800', inactive: 'bg-gray-100 text-gray-500' },
+    { active: 'bg-pink-100 text-pink-800', inactive: 'bg-gray-100 text-gray-500' },
+    { active: 'bg-indigo-100 text-indigo-800', inactive: 'bg-gray-100 text-gray-500' }
+  ];
+  
+  return autoBgs[index % autoBgs.length];
+};
+
+// Cores fixas para os percentis mais usados
+const PERCENTILE_COLORS = {
+  50: '#10b981',
+  70: '#8b5cf6',
+  85: '#ff9500',
+  95: '#ff0000',
+  98: '#7f1d1d'
+};
+
+const AUTO_PERCENTILE_COLORS = ['#0ea5e9', '#d946ef', '#14b8a6', '#a16207', '#64748b'];
+
+export const getColorForPercentile = (value, index) =>
+  PERCENTILE_COLORS[value] || AUTO_PERCENTILE_COLORS[index % AUTO_PERCENTILE_COLORS.length];
+
+// Tracejados distintos para diferenciar os percentis quando as linhas usam a cor do grupo
+const DASH_PATTERNS = ['5 5', '10 4', '2 3', '8 3 2 3', '12 6'];
+
+export const getDashForPercentile = (index) => DASH_PATTERNS[index % DASH_PATTERNS.length];
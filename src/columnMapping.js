@@ -0,0 +1,88 @@
+// Campos que o dashboard precisa encontrar no CSV
+export const REQUIRED_FIELDS = [
+  { key: 'id', label: 'ID' },
+  { key: 'type', label: 'Tipo de Item' },
+  { key: 'commitedDate', label: 'Commited Date' },
+  { key: 'closedDate', label: 'Closed Date' }
+];
+
+// Presets embutidos para as exportações mais comuns
+export const MAPPING_PRESETS = {
+  portugues: {
+    name: 'Padrão (Português)',
+    columns: { id: 'ID', type: 'Tipo de Item', commitedDate: 'Commited Date', closedDate: 'Closed Date' }
+  },
+  jira: {
+    name: 'Jira',
+    columns: { id: 'Issue key', type: 'Issue Type', commitedDate: 'In Progress', closedDate: 'Resolved' }
+  },
+  azureDevOps: {
+    name: 'Azure DevOps',
+    columns: { id: 'ID', type: 'Work Item Type', commitedDate: 'Activated Date', closedDate: 'Closed Date' }
+  }
+};
+
+const STORAGE_KEY = 'leadtime:columnMapping';
+
+const normalize = (value) => String(value).trim().toLowerCase();
+
+// Procura o cabeçalho real ignorando maiúsculas e espaços
+const findHeader = (headers, column) => {
+  if (!column) return '';
+  return headers.find(header => normalize(header) === normalize(column)) || '';
+};
+
+// Aplica as colunas de um preset sobre os cabeçalhos encontrados
+export const applyPreset = (presetKey, headers) => {
+  const preset = MAPPING_PRESETS[presetKey];
+  const mapping = {};
+  REQUIRED_FIELDS.forEach(({ key }) => {
+    mapping[key] = preset ? findHeader(headers, preset.columns[key]) : '';
+  });
+  return mapping;
+};
+
+export const isMappingComplete = (mapping, headers) =>
+  REQUIRED_FIELDS.every(({ key }) => mapping[key] && headers.includes(mapping[key]));
+
+export const loadSavedMapping = () => {
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    return saved ? JSON.parse(saved) : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+export const saveMapping = (mapping) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(mapping));
+  } catch (err) {
+    console.warn('Não foi possível salvar o mapeamento de colunas:', err);
+  }
+};
+
+// Detecta o melhor mapeamento: último usado, preset completo ou o preset mais próximo
+export const detectMapping = (headers) => {
+  const saved = loadSavedMapping();
+  if (saved) {
+    const savedMapping = {};
+    REQUIRED_FIELDS.forEach(({ key }) => {
+      savedMapping[key] = findHeader(headers, saved[key]);
+    });
+    if (isMappingComplete(savedMapping, headers)) {
+      return { presetKey: 'saved', mapping: savedMapping };
+    }
+  }
+
+  let best = { presetKey: 'portugues', mapping: applyPreset('portugues', headers), matches: -1 };
+  Object.keys(MAPPING_PRESETS).forEach(presetKey => {
+    const mapping = applyPreset(presetKey, headers);
+    const matches = REQUIRED_FIELDS.filter(({ key }) => mapping[key]).length;
+    if (matches > best.matches) {
+      best = { presetKey, mapping, matches };
+    }
+  });
+
+  return { presetKey: best.presetKey, mapping: best.mapping };
+};
@@ -0,0 +1,70 @@
+import { BUCKET_SIZES, buildHistogram, mannWhitneyU, formatNumber, maxOf } from './statistics';
+
+export const COMPARISON_MODES = {
+  periods: 'Dois períodos',
+  groups: 'Dois conjuntos de filtros',
+  files: 'Dois arquivos'
+};
+
+export const SIGNIFICANCE_LEVEL = 0.05;
+
+// Abaixo deste tamanho de amostra a aproximação normal do teste fica imprecisa
+const MIN_SAMPLE_SIZE = 10;
+
+// Histograma das duas amostras em % dos itens de cada lado, já que os tamanhos costumam diferir
+export const buildComparisonDistribution = (leadTimesA, leadTimesB) => {
+  const items = [
+    ...leadTimesA.map(leadTime => ({ leadTime, group: 'A' })),
+    ...leadTimesB.map(leadTime => ({ leadTime, group: 'B' }))
+  ];
+  if (items.length === 0) return { bucketSize: 1, buckets: [] };
+
+  const maxLeadTime = maxOf(items.map(item => item.leadTime));
+  const bucketSize = BUCKET_SIZES.find(size => maxLeadTime / size <= 40) || BUCKET_SIZES[BUCKET_SIZES.length - 1];
+
+  const buckets = buildHistogram(items, ['A', 'B'], bucketSize).map(bucket => ({
+    ...bucket,
+    A: leadTimesA.length > 0 ? (bucket.counts.A / leadTimesA.length) * 100 : 0,
+    B: leadTimesB.length > 0 ? (bucket.counts.B / leadTimesB.length) * 100 : 0
+  }));
+
+  return { bucketSize, buckets };
+};
+
+export const formatPValue = (pValue) =>
+  pValue < 0.001 ? 'p < 0,001' : `p = ${formatNumber(pValue, 3)}`;
+
+// Resultado do teste de Mann-Whitney em linguagem simples
+export const describeComparison = (leadTimesA, leadTimesB, labelA, labelB) => {
+  const test = mannWhitneyU(leadTimesA, leadTimesB);
+  if (!test) {
+    return { test: null, significant: false, lines: ['Os dois lados precisam ter itens concluídos para a comparação.'] };
+  }
+
+  const significant = test.pValue < SIGNIFICANCE_LEVEL;
+  const bFaster = test.probabilityBFaster > 0.5;
+  const lines = [];
+
+  if (significant) {
+    lines.push(
+      `${labelB} tem lead times tipicamente ${bFaster ? 'menores' : 'maiores'} que ${labelA}. ` +
+      `A diferença é estatisticamente significativa (${formatPValue(test.pValue)}): é improvável que seja obra do acaso.`
+    );
+  } else {
+    lines.push(
+      `Não há evidência estatística de diferença entre ${labelA} e ${labelB} (${formatPValue(test.pValue)}). ` +
+      'A variação observada nos percentis pode ser obra do acaso.'
+    );
+  }
+
+  lines.push(
+    `Sorteando um item de cada lado, o de ${labelB} é mais rápido em ${formatNumber(test.probabilityBFaster * 100, 0)}% das vezes ` +
+    '(50% indicaria nenhuma diferença).'
+  );
+
+  if (leadTimesA.length < MIN_SAMPLE_SIZE || leadTimesB.length < MIN_SAMPLE_SIZE) {
+    lines.push(`⚠️ Amostras com menos de ${MIN_SAMPLE_SIZE} itens: trate o resultado com cautela.`);
+  }
+
+  return { test, significant, lines };
+};
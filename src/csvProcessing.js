@@ -0,0 +1,251 @@
+import Papa from 'papaparse';
+import { REQUIRED_FIELDS } from './columnMapping';
+import { DATE_FORMATS, parseDate, resolveDateFormat, calendarDaysBetween, formatDate, toInputDate } from './dateParsing';
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+const isBlankRow = (row) => !row || Object.values(row).every(isBlank);
+
+// Linhas vazias são mantidas para preservar o número da linha original
+export const PARSE_OPTIONS = {
+  header: true,
+  dynamicTyping: true,
+  skipEmptyLines: false,
+  delimitersToGuess: [',', '\t', '|', ';']
+};
+
+// Linhas em branco também geram avisos de "TooFewFields", que não interessam
+export const warnParseErrors = (parsed) => {
+  const relevantErrors = parsed.errors.filter(err => !isBlankRow(parsed.data[err.row]));
+  if (relevantErrors.length > 0) {
+    console.warn('Avisos no parse CSV:', relevantErrors);
+  }
+};
+
+export const parseCSV = (csvContent) => {
+  const parsed = Papa.parse(csvContent, PARSE_OPTIONS);
+  warnParseErrors(parsed);
+  return parsed;
+};
+
+// Valida e converte as linhas do CSV, coletando todas as linhas rejeitadas ou ignoradas
+export const processRows = (parsed, mapping, dateFormat = 'auto') => {
+  const headers = parsed.meta.fields || [];
+
+  // Verificar se todas as colunas mapeadas estão presentes
+  const missingFields = REQUIRED_FIELDS.filter(({ key }) => !mapping[key] || !headers.includes(mapping[key]));
+
+  if (missingFields.length > 0) {
+    throw new Error(
+      `❌ Estrutura do CSV inválida!\n\n` +
+      `Campos sem coluna correspondente:\n${missingFields.map(field => field.label).join(', ')}\n\n` +
+      `Estrutura encontrada:\n${headers.join(', ')}`
+    );
+  }
+
+  // Em modo automático o formato é detectado uma única vez para o arquivo todo
+  const detectedFormat = resolveDateFormat(dateFormat, parsed.data, [mapping.commitedDate, mapping.closedDate]);
+  const expectedFormat = DATE_FORMATS[detectedFormat.format];
+
+  // Colunas não mapeadas são preservadas para agrupamento e filtros
+  const mappedColumns = REQUIRED_FIELDS.map(({ key }) => mapping[key]);
+  const extraColumns = headers.filter(header => header && !mappedColumns.includes(header));
+
+  const items = [];
+  const openItems = [];
+  const issues = [];
+  let totalRows = 0;
+
+  parsed.data.forEach((row, index) => {
+    // Linha 1 é o cabeçalho
+    const line = index + 2;
+
+    if (isBlankRow(row)) return;
+    totalRows++;
+
+    const id = isBlank(row[mapping.id]) ? '' : String(row[mapping.id]).trim();
+    const rawCommited = row[mapping.commitedDate];
+    const rawClosed = row[mapping.closedDate];
+
+    // Linhas com campos obrigatórios vazios são ignoradas; Closed Date vazio indica item em andamento
+    const emptyFields = REQUIRED_FIELDS.filter(({ key }) => key !== 'closedDate' && isBlank(row[mapping[key]]));
+    if (emptyFields.length > 0) {
+      issues.push({
+        line,
+        id,
+        status: 'ignorada',
+        reason: `Campos vazios: ${emptyFields.map(field => field.label).join(', ')}`
+      });
+      return;
+    }
+
+    const type = String(row[mapping.type]).trim();
+    const fields = {};
+    extraColumns.forEach(column => {
+      fields[column] = isBlank(row[column]) ? '' : String(row[column]).trim();
+    });
+
+    // Validar e converter datas
+    const commitedDate = parseDate(rawCommited, detectedFormat.format);
+
+    if (isBlank(rawClosed)) {
+      if (!commitedDate) {
+        issues.push({
+          line,
+          id,
+          status: 'rejeitada',
+          reason: `Data inválida (esperado ${expectedFormat}): Commited Date "${rawCommited}"`
+        });
+        return;
+      }
+      openItems.push({ id, type, commitedDate, fields });
+      return;
+    }
+
+    const closedDate = parseDate(rawClosed, detectedFormat.format);
+
+    const invalidDates = [];
+    if (!commitedDate) invalidDates.push(`Commited Date "${rawCommited}"`);
+    if (!closedDate) invalidDates.push(`Closed Date "${rawClosed}"`);
+
+    if (invalidDates.length > 0) {
+      issues.push({
+        line,
+        id,
+        status: 'rejeitada',
+        reason: `Data inválida (esperado ${expectedFormat}): ${invalidDates.join(', ')}`
+      });
+      return;
+    }
+
+    // Verificar se Closed Date >= Commited Date
+    const dayDiff = calendarDaysBetween(commitedDate, closedDate);
+    if (dayDiff < 0) {
+      issues.push({
+        line,
+        id,
+        status: 'rejeitada',
+        reason: `Closed Date (${rawClosed}) é anterior ao Commited Date (${rawCommited})`
+      });
+      return;
+    }
+
+    // Calcular lead time: (Closed Date - Commited Date) + 1, em dias de calendário locais
+    const leadTime = dayDiff + 1;
+
+    items.push({
+      id,
+      type,
+      fields,
+      commitedDate,
+      closedDate,
+      leadTime,
+      dateFormatted: formatDate(closedDate),
+      timestamp: closedDate.getTime()
+    });
+  });
+
+  if (totalRows === 0) {
+    throw new Error(
+      `❌ Nenhum dado encontrado!\n\n` +
+      `Verifique se o CSV possui pelo menos uma linha de dados.`
+    );
+  }
+
+  items.sort((a, b) => a.timestamp - b.timestamp);
+  openItems.sort((a, b) => a.commitedDate - b.commitedDate);
+
+  return { items, openItems, extraColumns, issues, totalRows, dateFormat: detectedFormat };
+};
+
+// Diferenças entre dois registros do mesmo ID, nos campos obrigatórios
+const describeDifferences = (previous, next) => {
+  const closedLabel = (record) => (record.closedDate ? formatDate(record.closedDate) : '(em andamento)');
+  const differences = [];
+  if (previous.type !== next.type) {
+    differences.push(`Tipo de Item: ${previous.type} → ${next.type}`);
+  }
+  if (previous.commitedDate.getTime() !== next.commitedDate.getTime()) {
+    differences.push(`Commited Date: ${formatDate(previous.commitedDate)} → ${formatDate(next.commitedDate)}`);
+  }
+  if (closedLabel(previous) !== closedLabel(next)) {
+    differences.push(`Closed Date: ${closedLabel(previous)} → ${closedLabel(next)}`);
+  }
+  return differences;
+};
+
+// Une os resultados de vários arquivos, do mais antigo para o mais novo. IDs repetidos ficam com o registro
+// mais novo; quando os campos obrigatórios divergem, a substituição entra no relatório como conflito
+export const mergeSources = (sources) => {
+  const records = new Map();
+  const conflicts = [];
+
+  sources.forEach(({ fileName, items, openItems }) => {
+    [...items, ...openItems].forEach(item => {
+      const record = { ...item, source: item.source || fileName };
+      const previous = records.get(record.id);
+      if (previous) {
+        const differences = describeDifferences(previous, record);
+        if (differences.length > 0) {
+          conflicts.push({
+            line: '',
+            id: record.id,
+            source: previous.source,
+            status: 'conflito',
+            reason: `Substituído pelo registro de ${record.source}: ${differences.join('; ')}`
+          });
+        }
+      }
+      records.set(record.id, record);
+    });
+  });
+
+  const merged = [...records.values()];
+  const items = merged.filter(item => item.closedDate).sort((a, b) => a.timestamp - b.timestamp);
+  const openItems = merged.filter(item => !item.closedDate).sort((a, b) => a.commitedDate - b.commitedDate);
+
+  return {
+    items,
+    openItems,
+    extraColumns: [...new Set(sources.flatMap(source => source.extraColumns))],
+    issues: [
+      ...sources.flatMap(({ fileName, issues }) => issues.map(issue => ({ ...issue, source: fileName }))),
+      ...conflicts
+    ],
+    totalRows: sources.reduce((sum, source) => sum + source.totalRows, 0),
+    sources: countBySource(merged)
+  };
+};
+
+// Quantos itens cada arquivo de origem contribuiu, na ordem em que aparecem
+export const countBySource = (items, fallbackName = '') => {
+  const counts = new Map();
+  items.forEach(item => {
+    const source = item.source || fallbackName;
+    counts.set(source, (counts.get(source) || 0) + 1);
+  });
+  return [...counts.entries()].map(([fileName, count]) => ({ fileName, count }));
+};
+
+export const issuesToCSV = (issues) =>
+  Papa.unparse(issues.map(issue => ({
+    Arquivo: issue.source,
+    Linha: issue.line,
+    ID: issue.id,
+    Status: issue.status,
+    Motivo: issue.reason
+  })));
+
+// Dataset processado no formato do preset padrão, com o lead time calculado e as colunas extras
+export const itemsToCSV = (items, extraColumns) =>
+  Papa.unparse({
+    fields: [...REQUIRED_FIELDS.map(({ label }) => label), 'leadTime', ...extraColumns],
+    data: items.map(item => [
+      item.id,
+      item.type,
+      toInputDate(item.commitedDate),
+      toInputDate(item.closedDate),
+      item.leadTime,
+      ...extraColumns.map(column => item.fields[column])
+    ])
+  });
@@ -0,0 +1,59 @@
+import { parseCSV, warnParseErrors } from './csvProcessing';
+
+// Lê e faz o parse do arquivo num Web Worker, para que exportações grandes não travem a interface.
+// Sem suporte a workers, o parse acontece na thread principal
+export const parseCSVFile = (file, onProgress = () => {}) => {
+  if (typeof Worker === 'undefined') {
+    return file.text().then(parseCSV);
+  }
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./csvWorker.js', import.meta.url));
+
+    worker.onmessage = ({ data: message }) => {
+      if (message.type === 'progress') {
+        onProgress(message.loaded, message.total);
+        return;
+      }
+
+      worker.terminate();
+      if (message.type === 'error') {
+        reject(new Error(message.message));
+        return;
+      }
+      warnParseErrors(message.parsed);
+      resolve(message.parsed);
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || 'Falha ao ler o arquivo'));
+    };
+
+    worker.postMessage({ file });
+  });
+};
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1'];
+
+// Só fontes da mesma origem ou de um servidor local: um link compartilhado não pode trazer dados de terceiros
+const resolveSourceUrl = (url) => {
+  let resolved;
+  try {
+    resolved = new URL(url, window.location.href);
+  } catch (err) {
+    throw new Error(`❌ Fonte de dados inválida\n\n${url}`);
+  }
+  if (resolved.origin !== window.location.origin && !LOCAL_HOSTS.includes(resolved.hostname)) {
+    throw new Error(`❌ Fonte de dados recusada: só são aceitas URLs da mesma origem ou de localhost\n\n${url}`);
+  }
+  return resolved.href;
+};
+
+// CSV de uma URL (mesma origem ou servidor local); sem cache, para o auto-refresh trazer sempre a versão atual
+export const fetchCSV = async (url) => {
+  const response = await fetch(resolveSourceUrl(url), { cache: 'no-store' });
+  if (!response.ok) {
+    throw new Error(`❌ Não foi possível carregar a fonte de dados (HTTP ${response.status})\n\n${url}`);
+  }
+  return parseCSVFile(await response.blob());
+};
@@ -0,0 +1,36 @@
+/* eslint-env worker */
+import Papa from 'papaparse';
+import { PARSE_OPTIONS } from './csvProcessing';
+
+// O progresso é atualizado a cada bloco lido do arquivo
+const CHUNK_SIZE = 1024 * 1024;
+
+// Parse em streaming do arquivo recebido, fora da thread principal
+onmessage = ({ data: { file } }) => {
+  const data = [];
+  const errors = [];
+  let fields = [];
+  let loaded = 0;
+
+  Papa.parse(file, {
+    ...PARSE_OPTIONS,
+    chunkSize: CHUNK_SIZE,
+    chunk: (results) => {
+      // Erros do parser vêm com a linha relativa ao bloco; os de contagem de campos já vêm com a linha absoluta
+      const offset = data.length;
+      results.errors.forEach(error => errors.push(
+        error.type === 'FieldMismatch' ? error : { ...error, row: error.row + offset }
+      ));
+      results.data.forEach(row => data.push(row));
+      fields = results.meta.fields || fields;
+      loaded = Math.min(file.size, loaded + CHUNK_SIZE);
+      postMessage({ type: 'progress', loaded, total: file.size });
+    },
+    complete: () => {
+      postMessage({ type: 'done', parsed: { data, errors, meta: { fields } } });
+    },
+    error: (err) => {
+      postMessage({ type: 'error', message: err.message });
+    }
+  });
+};
@@ -0,0 +1,117 @@
+// Datasets importados ficam no IndexedDB: metadados e configurações num store, itens processados em outro,
+// para que a listagem não precise carregar todos os itens
+const DB_NAME = 'leadtime';
+const DB_VERSION = 1;
+const META_STORE = 'datasets';
+const CONTENT_STORE = 'datasetContents';
+const LAST_DATASET_KEY = 'leadtime:lastDataset';
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  if (!window.indexedDB) {
+    reject(new Error('IndexedDB indisponível neste navegador'));
+    return;
+  }
+
+  const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(META_STORE, { keyPath: 'id' });
+    request.result.createObjectStore(CONTENT_STORE, { keyPath: 'id' });
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Executa operações numa transação e resolve com o resultado da requisição devolvida, quando houver
+const runTransaction = async (storeNames, mode, operation) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    const request = operation(transaction);
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request ? request.result : undefined);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+    transaction.onabort = () => {
+      db.close();
+      reject(transaction.error || new Error('Transação cancelada'));
+    };
+  });
+};
+
+// Metadados dos datasets salvos, do mais recente para o mais antigo
+export const listDatasets = async () => {
+  const datasets = await runTransaction([META_STORE], 'readonly', transaction =>
+    transaction.objectStore(META_STORE).getAll()
+  );
+  return datasets.sort((a, b) => b.uploadedAt - a.uploadedAt);
+};
+
+// Dataset completo: metadados, configurações e itens processados
+export const getDataset = async (id) => {
+  let meta = null;
+  let content = null;
+  await runTransaction([META_STORE, CONTENT_STORE], 'readonly', transaction => {
+    transaction.objectStore(META_STORE).get(id).onsuccess = (event) => {
+      meta = event.target.result;
+    };
+    transaction.objectStore(CONTENT_STORE).get(id).onsuccess = (event) => {
+      content = event.target.result;
+    };
+  });
+  return meta && content ? { ...meta, content } : null;
+};
+
+export const saveDataset = ({ content, ...meta }) =>
+  runTransaction([META_STORE, CONTENT_STORE], 'readwrite', transaction => {
+    transaction.objectStore(META_STORE).put(meta);
+    transaction.objectStore(CONTENT_STORE).put({ id: meta.id, ...content });
+  });
+
+// Atualiza só os metadados (nome, configurações)
+export const updateDataset = (id, changes) =>
+  runTransaction([META_STORE], 'readwrite', transaction => {
+    const store = transaction.objectStore(META_STORE);
+    store.get(id).onsuccess = (event) => {
+      if (event.target.result) store.put({ ...event.target.result, ...changes });
+    };
+  });
+
+// Troca os itens de um dataset existente (ex.: append de arquivos), preservando nome e configurações
+export const replaceDatasetContent = (id, content, changes) =>
+  runTransaction([META_STORE, CONTENT_STORE], 'readwrite', transaction => {
+    const metaStore = transaction.objectStore(META_STORE);
+    metaStore.get(id).onsuccess = (event) => {
+      if (event.target.result) metaStore.put({ ...event.target.result, ...changes });
+    };
+    transaction.objectStore(CONTENT_STORE).put({ id, ...content });
+  });
+
+export const deleteDataset = (id) =>
+  runTransaction([META_STORE, CONTENT_STORE], 'readwrite', transaction => {
+    transaction.objectStore(META_STORE).delete(id);
+    transaction.objectStore(CONTENT_STORE).delete(id);
+  });
+
+export const loadLastDatasetId = () => {
+  try {
+    return window.localStorage.getItem(LAST_DATASET_KEY);
+  } catch (err) {
+    return null;
+  }
+};
+
+export const saveLastDatasetId = (id) => {
+  try {
+    if (id) {
+      window.localStorage.setItem(LAST_DATASET_KEY, id);
+    } else {
+      window.localStorage.removeItem(LAST_DATASET_KEY);
+    }
+  } catch (err) {
+    console.warn('Não foi possível salvar o último dataset usado:', err);
+  }
+};
@@ -0,0 +1,194 @@
+// Formatos de data aceitos na importação
+export const DATE_FORMATS = {
+  auto: 'Automático',
+  iso: 'ISO (AAAA-MM-DD)',
+  dmy: 'DD/MM/AAAA',
+  mdy: 'MM/DD/AAAA'
+};
+
+const ISO_PATTERN = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?)?$/i;
+const SLASH_PATTERN = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})(?:[T ,]+(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\s*([AP]M))?)?$/i;
+// Mês por extenso ou abreviado, sempre depois do dia (ex.: 15/Jan/25 10:30 AM, exportação padrão do Jira)
+const MONTH_NAME_PATTERN = /^(\d{1,2})[/ .-]([a-zç]{3,})\.?[/ .-](\d{2}|\d{4})(?:[T ,]+(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\s*([AP]M))?)?$/i;
+
+// Três primeiras letras do mês, em inglês e em português
+const MONTHS = {
+  jan: 1, feb: 2, fev: 2, mar: 3, apr: 4, abr: 4, may: 5, mai: 5, jun: 6, jul: 7,
+  aug: 8, ago: 8, sep: 9, set: 9, oct: 10, out: 10, nov: 11, dec: 12, dez: 12
+};
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// Monta uma data no fuso local, rejeitando dias inexistentes como 31/02
+const buildLocalDate = (year, month, day, hours = 0, minutes = 0, seconds = 0) => {
+  const date = new Date(year, month - 1, day, hours, minutes, seconds);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return null;
+  }
+  return date;
+};
+
+const toNumber = (value) => (value === undefined ? 0 : Number(value));
+
+// Horas no formato de 12 horas (AM/PM) convertidas para 24 horas
+const toHours = (hours, meridiem) => {
+  const value = toNumber(hours);
+  if (!meridiem) return value;
+  return (value % 12) + (meridiem.toUpperCase() === 'PM' ? 12 : 0);
+};
+
+const toYear = (rawYear) => (rawYear.length === 2 ? 2000 + Number(rawYear) : Number(rawYear));
+
+const parseIso = (text) => {
+  const match = text.match(ISO_PATTERN);
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds, zone] = match;
+
+  // Com fuso explícito o instante é absoluto; sem fuso, a data é local
+  if (zone) {
+    const normalizedZone = zone.toUpperCase() === 'Z' || zone.includes(':')
+      ? zone
+      : `${zone.slice(0, 3)}:${zone.slice(3)}`;
+    const pad = (value) => String(value).padStart(2, '0');
+    const date = new Date(
+      `${year}-${pad(month)}-${pad(day)}T${pad(toNumber(hours))}:${minutes}:${pad(toNumber(seconds))}${normalizedZone}`
+    );
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  return buildLocalDate(Number(year), Number(month), Number(day), toNumber(hours), toNumber(minutes), toNumber(seconds));
+};
+
+const parseSlash = (text, format) => {
+  const match = text.match(SLASH_PATTERN);
+  if (!match) return null;
+
+  const [, first, second, rawYear, hours, minutes, seconds, meridiem] = match;
+  const day = format === 'dmy' ? Number(first) : Number(second);
+  const month = format === 'dmy' ? Number(second) : Number(first);
+
+  return buildLocalDate(toYear(rawYear), month, day, toHours(hours, meridiem), toNumber(minutes), toNumber(seconds));
+};
+
+const parseMonthName = (text) => {
+  const match = text.match(MONTH_NAME_PATTERN);
+  if (!match) return null;
+
+  const [, day, monthName, rawYear, hours, minutes, seconds, meridiem] = match;
+  const month = MONTHS[monthName.slice(0, 3).toLowerCase()];
+  if (!month) return null;
+
+  return buildLocalDate(toYear(rawYear), month, Number(day), toHours(hours, meridiem), toNumber(minutes), toNumber(seconds));
+};
+
+// Timestamps numéricos (segundos ou milissegundos desde 1970)
+const parseTimestamp = (value) => {
+  if (value >= 1e11) return new Date(value);
+  if (value >= 1e9) return new Date(value * 1000);
+  return null;
+};
+
+// Converte um valor do CSV em Date usando o formato escolhido; retorna null se inválido
+export const parseDate = (value, format) => {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+  if (typeof value === 'number') return parseTimestamp(value);
+
+  const text = String(value).trim();
+  if (/^\d{9,13}$/.test(text)) return parseTimestamp(Number(text));
+
+  const isoDate = parseIso(text);
+  if (isoDate) return isoDate;
+
+  // O mês por extenso não depende da ordem escolhida
+  const monthNameDate = parseMonthName(text);
+  if (monthNameDate) return monthNameDate;
+
+  if (format === 'dmy' || format === 'mdy') {
+    return parseSlash(text, format);
+  }
+
+  return null;
+};
+
+// Detecta o formato a partir de amostras; ambiguous indica que DD/MM e MM/DD são ambos possíveis
+// e unrecognized que nenhuma amostra está num formato conhecido
+export const detectDateFormat = (values) => {
+  let dayFirst = false;
+  let monthFirst = false;
+  let slashCount = 0;
+  let recognized = false;
+  let sampled = false;
+
+  values.forEach(value => {
+    if (value === null || value === undefined) return;
+    const text = String(value).trim();
+    if (!text) return;
+    sampled = true;
+
+    // Mês por extenso vem sempre depois do dia
+    if (MONTH_NAME_PATTERN.test(text)) {
+      slashCount++;
+      recognized = true;
+      dayFirst = true;
+      return;
+    }
+
+    const match = text.match(SLASH_PATTERN);
+    if (!match) {
+      if (ISO_PATTERN.test(text) || /^\d{9,13}$/.test(text)) recognized = true;
+      return;
+    }
+
+    slashCount++;
+    recognized = true;
+    if (Number(match[1]) > 12) dayFirst = true;
+    if (Number(match[2]) > 12) monthFirst = true;
+  });
+
+  if (sampled && !recognized) return { format: 'iso', ambiguous: false, unrecognized: true };
+  if (slashCount === 0) return { format: 'iso', ambiguous: false };
+  if (dayFirst && !monthFirst) return { format: 'dmy', ambiguous: false };
+  if (monthFirst && !dayFirst) return { format: 'mdy', ambiguous: false };
+
+  // Sem dia > 12 (ou com formatos misturados) assumimos o padrão brasileiro
+  return { format: 'dmy', ambiguous: true };
+};
+
+// Resolve "auto" para um formato concreto usando as colunas de data do CSV
+export const resolveDateFormat = (format, rows, columns) => {
+  if (format !== 'auto') return { format, ambiguous: false };
+
+  const values = [];
+  rows.forEach(row => {
+    columns.forEach(column => values.push(row[column]));
+  });
+
+  return detectDateFormat(values);
+};
+
+// Diferença em dias de calendário no fuso local, imune a horário de verão
+export const calendarDaysBetween = (start, end) => {
+  const startDay = Date.UTC(start.getFullYear(), start.getMonth(), start.getDate());
+  const endDay = Date.UTC(end.getFullYear(), end.getMonth(), end.getDate());
+  return Math.round((endDay - startDay) / MS_PER_DAY);
+};
+
+export const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+export const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+export const formatDate = (date) => date.toLocaleDateString('pt-BR');
+
+// Valor no formato esperado por <input type="date">
+export const toInputDate = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Converte o valor de <input type="date"> em data local
+export const fromInputDate = (value) => (value ? new Date(`${value}T00:00:00`) : null);
@@ -0,0 +1,64 @@
+import { addDays, startOfDay, toInputDate, fromInputDate, formatDate } from './dateParsing';
+import { maxOf } from './statistics';
+
+export const EMPTY_RANGE = { start: '', end: '' };
+
+const RELATIVE_PRESETS = [
+  { days: 30, label: 'Últimos 30 dias' },
+  { days: 90, label: 'Últimos 90 dias' },
+  { days: 180, label: 'Últimos 180 dias' }
+];
+
+// Presets relativos à última entrega do dataset e um preset por trimestre com dados
+export const buildRangePresets = (items) => {
+  if (items.length === 0) return [];
+
+  const timestamps = items.map(item => item.closedDate.getTime());
+  const lastDay = startOfDay(new Date(maxOf(timestamps)));
+
+  const presets = RELATIVE_PRESETS.map(({ days, label }) => ({
+    key: `last${days}`,
+    label,
+    range: { start: toInputDate(addDays(lastDay, -(days - 1))), end: toInputDate(lastDay) }
+  }));
+
+  const quarters = {};
+  items.forEach(item => {
+    const year = item.closedDate.getFullYear();
+    const quarter = Math.floor(item.closedDate.getMonth() / 3);
+    quarters[`${year}-${quarter}`] = { year, quarter };
+  });
+
+  Object.values(quarters)
+    .sort((a, b) => a.year - b.year || a.quarter - b.quarter)
+    .forEach(({ year, quarter }) => {
+      presets.push({
+        key: `q${quarter + 1}-${year}`,
+        label: `T${quarter + 1}/${year}`,
+        range: {
+          start: toInputDate(new Date(year, quarter * 3, 1)),
+          end: toInputDate(new Date(year, quarter * 3 + 3, 0))
+        }
+      });
+    });
+
+  return presets;
+};
+
+export const isRangeActive = (range) => Boolean(range.start || range.end);
+
+// O intervalo é inclusivo nas duas pontas e compara a data de conclusão
+export const isInRange = (item, range) => {
+  const start = fromInputDate(range.start);
+  const end = fromInputDate(range.end);
+  if (start && item.closedDate < start) return false;
+  if (end && item.closedDate >= addDays(end, 1)) return false;
+  return true;
+};
+
+export const formatRange = (range) => {
+  if (!isRangeActive(range)) return 'Todo o período';
+  const start = range.start ? formatDate(fromInputDate(range.start)) : 'início';
+  const end = range.end ? formatDate(fromInputDate(range.end)) : 'fim';
+  return `${start} – ${end}`;
+};
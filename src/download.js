@@ -0,0 +1,60 @@
+// Dispara o download de um conteúdo gerado no navegador
+export const downloadFile = (content, fileName, mimeType) => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+// Gráfico principal (recharts) dentro de um container; ícones da legenda também são <svg> e ficam de fora
+export const findChartSvg = (container) =>
+  container ? container.querySelector('.recharts-wrapper > svg') : null;
+
+// SVG autossuficiente do gráfico, com fundo branco e a fonte usada na página
+export const serializeChart = (svg) => {
+  const clone = svg.cloneNode(true);
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  clone.setAttribute('font-family', window.getComputedStyle(svg).fontFamily);
+
+  const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+  background.setAttribute('width', '100%');
+  background.setAttribute('height', '100%');
+  background.setAttribute('fill', '#ffffff');
+  clone.insertBefore(background, clone.firstChild);
+
+  // Pontos desenhados em canvas (modo de alto volume) não sobrevivem à serialização; entram como imagem
+  const originals = [...svg.querySelectorAll('foreignObject')];
+  [...clone.querySelectorAll('foreignObject')].forEach((node, index) => {
+    const canvas = originals[index].querySelector('canvas');
+    if (!canvas) return;
+    const image = document.createElementNS('http://www.w3.org/2000/svg', 'image');
+    ['x', 'y', 'width', 'height'].forEach(attribute => image.setAttribute(attribute, node.getAttribute(attribute)));
+    image.setAttribute('href', canvas.toDataURL('image/png'));
+    node.replaceWith(image);
+  });
+
+  return new XMLSerializer().serializeToString(clone);
+};
+
+export const svgDataUrl = (svgString) => `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svgString)}`;
+
+// Rasteriza o SVG em PNG, no dobro da resolução para ficar nítido em slides
+export const svgToPng = (svgString, width, height, scale = 2) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    const context = canvas.getContext('2d');
+    context.scale(scale, scale);
+    context.drawImage(image, 0, 0, width, height);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Não foi possível gerar o PNG.'))), 'image/png');
+  };
+  image.onerror = () => reject(new Error('Não foi possível gerar a imagem do gráfico.'));
+  image.src = svgDataUrl(svgString);
+});
@@ -0,0 +1,93 @@
+import { percentile, minOf, maxOf } from './statistics';
+import { startOfDay, addDays } from './dateParsing';
+
+export const SAMPLING_WINDOWS = [
+  { days: 30, label: 'Últimos 30 dias' },
+  { days: 60, label: 'Últimos 60 dias' },
+  { days: 90, label: 'Últimos 90 dias' },
+  { days: 180, label: 'Últimos 180 dias' },
+  { days: 0, label: 'Todo o histórico' }
+];
+
+export const CONFIDENCE_LEVELS = [0.5, 0.85, 0.95];
+
+const TRIALS = 10000;
+
+// Limite de segurança para simulações em que o throughput amostrado é quase sempre zero
+const MAX_FORECAST_DAYS = 3650;
+
+// Horizonte do "quantos itens até a data X?": a simulação roda na thread principal a cada mudança da data,
+// e previsões de entrega além de um ano já não dizem muito
+export const MAX_TARGET_DAYS = 365;
+
+// Throughput diário (itens concluídos por dia), incluindo os dias sem entregas
+export const buildDailyThroughput = (items, windowDays) => {
+  if (items.length === 0) return [];
+
+  const closedDays = items.map(item => startOfDay(item.closedDate).getTime());
+  const lastDay = new Date(maxOf(closedDays));
+  const firstClosedDay = new Date(minOf(closedDays));
+  // Uma janela maior que o histórico não inventa dias sem entregas antes do primeiro item
+  const windowStart = windowDays > 0 ? addDays(lastDay, -(windowDays - 1)) : firstClosedDay;
+  const firstDay = windowStart > firstClosedDay ? windowStart : firstClosedDay;
+
+  const counts = {};
+  closedDays.forEach(day => {
+    counts[day] = (counts[day] || 0) + 1;
+  });
+
+  const samples = [];
+  for (let day = new Date(firstDay); day <= lastDay; day = addDays(day, 1)) {
+    samples.push(counts[day.getTime()] || 0);
+  }
+
+  return samples;
+};
+
+const sample = (samples) => samples[Math.floor(Math.random() * samples.length)];
+
+// "Quando N itens estarão prontos?" — dias necessários em cada simulação
+export const forecastWhen = (samples, itemCount) => {
+  if (samples.length === 0 || itemCount <= 0) return null;
+
+  const outcomes = [];
+  let capped = false;
+  for (let trial = 0; trial < TRIALS; trial++) {
+    let done = 0;
+    let days = 0;
+    while (done < itemCount && days < MAX_FORECAST_DAYS) {
+      done += sample(samples);
+      days++;
+    }
+    if (done < itemCount) capped = true;
+    outcomes.push(days);
+  }
+  outcomes.sort((a, b) => a - b);
+
+  // Mais confiança significa aceitar um prazo maior
+  return {
+    capped,
+    levels: CONFIDENCE_LEVELS.map(level => ({ level, days: percentile(outcomes, level) }))
+  };
+};
+
+// "Quantos itens até a data X?" — itens concluídos em cada simulação
+export const forecastHowMany = (samples, days) => {
+  if (samples.length === 0 || days <= 0) return null;
+
+  const horizon = Math.min(days, MAX_TARGET_DAYS);
+  const outcomes = [];
+  for (let trial = 0; trial < TRIALS; trial++) {
+    let done = 0;
+    for (let day = 0; day < horizon; day++) {
+      done += sample(samples);
+    }
+    outcomes.push(done);
+  }
+  outcomes.sort((a, b) => a - b);
+
+  // Mais confiança significa prometer menos itens
+  return {
+    levels: CONFIDENCE_LEVELS.map(level => ({ level, items: percentile(outcomes, 1 - level) }))
+  };
+};
@@ -0,0 +1,39 @@
+// Agrupamento padrão: a coluna mapeada como "Tipo de Item"
+export const TYPE_GROUP = '';
+
+export const EMPTY_VALUE = '(vazio)';
+
+// Nome exibido de uma coluna de agrupamento ou filtro; o tipo usa a coluna mapeada, que não está entre as extras
+export const columnLabel = (column) => (column === TYPE_GROUP ? 'Tipo de Item' : column);
+
+// Colunas com nomes como "Tags" ou "Labels" costumam trazer vários valores por item
+export const guessMultiValue = (column) => /tags?|labels?|etiquetas?|r[óo]tulos?/i.test(column);
+
+const splitValues = (value) => value.split(/[;,|]/).map(part => part.trim()).filter(Boolean);
+
+// Valores de um item numa coluna extra (ou no tipo); colunas multivaloradas são separadas por ; , ou |
+export const getColumnValues = (item, column, multi) => {
+  const value = (column === TYPE_GROUP ? item.type : item.fields[column]) || '';
+  if (!value) return [EMPTY_VALUE];
+  if (!multi) return [value];
+  const values = splitValues(value);
+  return values.length > 0 ? values : [EMPTY_VALUE];
+};
+
+export const getGroupValue = (item, groupBy) =>
+  groupBy === TYPE_GROUP ? item.type : (item.fields[groupBy] || EMPTY_VALUE);
+
+// Valores distintos de uma coluna, na ordem em que aparecem
+export const distinctColumnValues = (items, column, multi) => {
+  const values = new Set();
+  items.forEach(item => {
+    getColumnValues(item, column, multi).forEach(value => values.add(value));
+  });
+  return [...values];
+};
+
+// Filtros por coluna: { [coluna]: { multi, values: [...] } }; sem valores selecionados o filtro não restringe
+export const matchesColumnFilters = (item, columnFilters) =>
+  Object.entries(columnFilters).every(([column, { multi, values }]) =>
+    values.length === 0 || getColumnValues(item, column, multi).some(value => values.includes(value))
+  );
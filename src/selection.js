@@ -0,0 +1,14 @@
+// Distância mínima, em pixels, entre dois pontos registrados do laço
+export const LASSO_MIN_STEP = 4;
+
+// Ponto dentro do polígono (ray casting); funciona em coordenadas de dados, pois a escala dos eixos é linear
+export const isInsidePolygon = ([x, y], polygon) => {
+  let inside = false;
+  for (let current = 0, previous = polygon.length - 1; current < polygon.length; previous = current++) {
+    const [xi, yi] = polygon[current];
+    const [xj, yj] = polygon[previous];
+    const crosses = (yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
@@ -0,0 +1,73 @@
+import { startOfWeek } from './throughput';
+import { addDays, formatDate } from './dateParsing';
+import { minOf, maxOf } from './statistics';
+
+// SLE (Service Level Expectation): "P% dos itens do grupo concluídos em até N dias"
+export const DEFAULT_SLE = { percentile: 85, days: 10 };
+
+export const SLE_PERIODS = {
+  week: 'Semana',
+  month: 'Mês'
+};
+
+export const isBreaching = (item, target) => Boolean(target) && item.leadTime > target.days;
+
+// Percentual de itens fora do prazo tolerado pelo SLE (ex.: 85% → até 15% de violações)
+export const allowedBreachRate = (target) => 100 - target.percentile;
+
+// Quantos itens cumpriram o prazo e se o percentual prometido foi atingido
+export const summarizeSle = (items, target) => {
+  const breaches = items.filter(item => isBreaching(item, target)).length;
+  const withinRate = items.length > 0 ? ((items.length - breaches) / items.length) * 100 : null;
+  return {
+    total: items.length,
+    breaches,
+    withinRate,
+    met: withinRate !== null && withinRate >= target.percentile
+  };
+};
+
+const periodStart = (date, period) =>
+  period === 'week' ? startOfWeek(date) : new Date(date.getFullYear(), date.getMonth(), 1);
+
+const nextPeriod = (start, period) =>
+  period === 'week' ? addDays(start, 7) : new Date(start.getFullYear(), start.getMonth() + 1, 1);
+
+const periodLabel = (start, period) =>
+  period === 'week'
+    ? formatDate(start)
+    : `${String(start.getMonth() + 1).padStart(2, '0')}/${start.getFullYear()}`;
+
+// Taxa de violação do SLE por período (semana ou mês), por grupo com SLE definido
+export const buildBreachSeries = (items, targets, period) => {
+  const targetItems = items.filter(item => targets[item.group]);
+  if (targetItems.length === 0) return [];
+
+  const timestamps = targetItems.map(item => item.closedDate.getTime());
+  const first = periodStart(new Date(minOf(timestamps)), period);
+  const last = periodStart(new Date(maxOf(timestamps)), period);
+
+  const series = [];
+  const indexByStart = {};
+  for (let start = first; start <= last; start = nextPeriod(start, period)) {
+    indexByStart[start.getTime()] = series.length;
+    series.push({ start: start.getTime(), label: periodLabel(start, period), counts: {}, rates: {} });
+  }
+
+  targetItems.forEach(item => {
+    const bucket = series[indexByStart[periodStart(item.closedDate, period).getTime()]];
+    const counts = bucket.counts[item.group] || { total: 0, breaches: 0 };
+    counts.total++;
+    if (isBreaching(item, targets[item.group])) counts.breaches++;
+    bucket.counts[item.group] = counts;
+  });
+
+  // Períodos sem entregas do grupo ficam sem taxa, para não parecerem 0% de violação
+  series.forEach(bucket => {
+    Object.entries(bucket.counts).forEach(([group, { total, breaches }]) => {
+      bucket.rates[group] = Math.round((breaches / total) * 1000) / 10;
+    });
+  });
+
+  return series;
+};
@@ -0,0 +1,180 @@
+// Métodos de cálculo de percentil; "index" é o cálculo original do dashboard
+export const PERCENTILE_METHODS = {
+  index: 'Índice (padrão)',
+  nearestRank: 'Nearest rank',
+  linear: 'Interpolação linear',
+  lower: 'Valor inferior',
+  higher: 'Valor superior'
+};
+
+// Percentil sobre valores já ordenados
+export const percentile = (sortedValues, p, method = 'index') => {
+  const n = sortedValues.length;
+  if (n === 0) return 0;
+
+  if (method === 'index') {
+    return sortedValues[Math.min(Math.floor(n * p), n - 1)];
+  }
+  if (method === 'nearestRank') {
+    return sortedValues[Math.min(Math.max(Math.ceil(n * p) - 1, 0), n - 1)];
+  }
+
+  // Demais métodos usam a posição contínua (n - 1) * p
+  const position = (n - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+
+  if (method === 'lower') return sortedValues[lower];
+  if (method === 'higher') return sortedValues[upper];
+  return sortedValues[lower] + (position - lower) * (sortedValues[upper] - sortedValues[lower]);
+};
+
+// Valores de cada percentil configurado, indexados pelo percentil (ex.: { 85: 12 })
+export const computePercentiles = (sortedValues, percentileValues, method) => {
+  const result = {};
+  percentileValues.forEach(value => {
+    result[value] = percentile(sortedValues, value / 100, method);
+  });
+  return result;
+};
+
+// Mínimo e máximo sem spread: Math.min(...valores) estoura a pilha com dezenas de milhares de itens
+export const minOf = (values) => values.reduce((min, value) => (value < min ? value : min), Infinity);
+
+export const maxOf = (values) => values.reduce((max, value) => (value > max ? value : max), -Infinity);
+
+export const mean = (values) =>
+  values.length === 0 ? 0 : values.reduce((sum, value) => sum + value, 0) / values.length;
+
+export const median = (sortedValues) => {
+  if (sortedValues.length === 0) return 0;
+  const middle = Math.floor(sortedValues.length / 2);
+  return sortedValues.length % 2 === 0
+    ? (sortedValues[middle - 1] + sortedValues[middle]) / 2
+    : sortedValues[middle];
+};
+
+// Desvio padrão amostral
+export const standardDeviation = (values) => {
+  if (values.length < 2) return 0;
+  const average = mean(values);
+  const squares = values.reduce((sum, value) => sum + (value - average) ** 2, 0);
+  return Math.sqrt(squares / (values.length - 1));
+};
+
+// Razão P98/P50 acima deste valor indica distribuição de cauda longa
+export const FAT_TAIL_THRESHOLD = 5.6;
+
+// Estatísticas descritivas dos lead times
+export const summarize = (leadTimes) => {
+  const sorted = [...leadTimes].sort((a, b) => a - b);
+  const p50 = percentile(sorted, 0.5);
+  const tailRatio = p50 > 0 ? percentile(sorted, 0.98) / p50 : 0;
+
+  return {
+    count: sorted.length,
+    mean: mean(sorted),
+    median: median(sorted),
+    stdDev: standardDeviation(sorted),
+    tailRatio,
+    fatTail: tailRatio > FAT_TAIL_THRESHOLD
+  };
+};
+
+export const formatNumber = (value, digits = 1) =>
+  value.toLocaleString('pt-BR', { maximumFractionDigits: digits });
+
+export const BUCKET_SIZES = [1, 2, 5, 7, 10, 14, 30];
+
+// Histograma de lead time por grupo; cada ponto marca o início do bucket deslocado
+// em meio dia para que o valor v ocupe o intervalo [v - 0,5; v + 0,5)
+export const buildHistogram = (items, groups, bucketSize) => {
+  if (items.length === 0) return [];
+
+  const maxLeadTime = maxOf(items.map(item => item.leadTime));
+  const bucketCount = Math.floor((maxLeadTime - 1) / bucketSize) + 1;
+
+  // Um bucket extra, vazio, fecha o degrau do último bucket no gráfico
+  const buckets = [];
+  for (let index = 0; index <= bucketCount; index++) {
+    const start = 1 + index * bucketSize;
+    const bucket = { x: start - 0.5, start, end: start + bucketSize - 1, counts: {} };
+    groups.forEach(group => {
+      bucket.counts[group] = 0;
+    });
+    buckets.push(bucket);
+  }
+
+  items.forEach(item => {
+    const bucket = buckets[Math.floor((item.leadTime - 1) / bucketSize)];
+    if (bucket && bucket.counts[item.group] !== undefined) bucket.counts[item.group]++;
+  });
+
+  return buckets;
+};
+
+// Função de distribuição acumulada da normal padrão (aproximação de Abramowitz e Stegun 7.1.26)
+export const normalCdf = (z) => {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+// Teste U de Mann-Whitney bicaudal, pela aproximação normal com correção de empates e de continuidade.
+// probabilityBFaster é a chance de um item de B ter lead time menor que um item de A (empates contam meio)
+export const mannWhitneyU = (a, b) => {
+  const n1 = a.length;
+  const n2 = b.length;
+  if (n1 === 0 || n2 === 0) return null;
+
+  const values = [
+    ...a.map(value => ({ value, fromA: true })),
+    ...b.map(value => ({ value, fromA: false }))
+  ].sort((x, y) => x.value - y.value);
+
+  // Valores empatados recebem o posto médio
+  let rankSumA = 0;
+  let tieCorrection = 0;
+  for (let start = 0; start < values.length;) {
+    let end = start;
+    while (end < values.length && values[end].value === values[start].value) end++;
+    const rank = (start + end + 1) / 2;
+    const ties = end - start;
+    tieCorrection += ties ** 3 - ties;
+    for (let index = start; index < end; index++) {
+      if (values[index].fromA) rankSumA += rank;
+    }
+    start = end;
+  }
+
+  const n = n1 + n2;
+  const uA = rankSumA - (n1 * (n1 + 1)) / 2;
+  const expected = (n1 * n2) / 2;
+  const sd = Math.sqrt(((n1 * n2) / 12) * ((n + 1) - tieCorrection / (n * (n - 1))));
+  const z = sd === 0 ? 0 : Math.max(0, Math.abs(uA - expected) - 0.5) / sd;
+
+  return {
+    u: Math.min(uA, n1 * n2 - uA),
+    z,
+    pValue: Math.min(1, 2 * (1 - normalCdf(z))),
+    probabilityBFaster: uA / (n1 * n2)
+  };
+};
+
+// Posição de um valor na amostra ordenada: % de valores menores ou iguais a ele
+export const percentileRank = (sortedValues, value) => {
+  if (sortedValues.length === 0) return 0;
+  let low = 0;
+  let high = sortedValues.length;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (sortedValues[middle] <= value) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return (low / sortedValues.length) * 100;
+};
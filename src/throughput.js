@@ -0,0 +1,86 @@
+import { startOfDay, addDays, calendarDaysBetween, formatDate } from './dateParsing';
+import { minOf, maxOf } from './statistics';
+
+export const GRANULARITIES = {
+  day: 'Dia',
+  week: 'Semana',
+  sprint: 'Sprint'
+};
+
+// Segunda-feira da semana da data
+export const startOfWeek = (date) => {
+  const day = startOfDay(date);
+  const offset = (day.getDay() + 6) % 7;
+  return addDays(day, -offset);
+};
+
+// Início do período (dia, semana ou sprint) em que a data cai
+const periodStart = (date, granularity, sprint) => {
+  if (granularity === 'day') return startOfDay(date);
+  if (granularity === 'week') return startOfWeek(date);
+
+  const elapsed = calendarDaysBetween(sprint.start, date);
+  const sprintIndex = Math.floor(elapsed / sprint.lengthDays);
+  return addDays(sprint.start, sprintIndex * sprint.lengthDays);
+};
+
+const nextPeriod = (start, granularity, sprint) => {
+  if (granularity === 'day') return addDays(start, 1);
+  if (granularity === 'week') return addDays(start, 7);
+  return addDays(start, sprint.lengthDays);
+};
+
+const periodLabel = (start, granularity, sprint) => {
+  if (granularity === 'sprint') {
+    const number = Math.floor(calendarDaysBetween(sprint.start, start) / sprint.lengthDays) + 1;
+    return `Sprint ${number}`;
+  }
+  return formatDate(start);
+};
+
+// Sprint 1 nunca começa depois do primeiro item: um início posterior recua sprints inteiras, mantendo a cadência
+const anchorSprint = (sprint, firstDate) => {
+  const elapsed = calendarDaysBetween(sprint.start, firstDate);
+  if (elapsed >= 0) return sprint;
+  const sprintsBack = Math.ceil(-elapsed / sprint.lengthDays);
+  return { ...sprint, start: addDays(sprint.start, -sprintsBack * sprint.lengthDays) };
+};
+
+// Série de throughput por período, empilhada por grupo e com média móvel do total
+export const buildThroughputSeries = (items, groups, granularity, { sprint: configuredSprint, rollingPeriods }) => {
+  if (items.length === 0) return [];
+
+  const timestamps = items.map(item => item.closedDate.getTime());
+  const firstDate = new Date(minOf(timestamps));
+  const sprint = granularity === 'sprint' ? anchorSprint(configuredSprint, firstDate) : configuredSprint;
+  const first = periodStart(firstDate, granularity, sprint);
+  const last = periodStart(new Date(maxOf(timestamps)), granularity, sprint);
+
+  const series = [];
+  const indexByStart = {};
+  for (let start = first; start <= last; start = nextPeriod(start, granularity, sprint)) {
+    const bucket = { start: start.getTime(), label: periodLabel(start, granularity, sprint), total: 0, counts: {} };
+    groups.forEach(group => {
+      bucket.counts[group] = 0;
+    });
+    indexByStart[start.getTime()] = series.length;
+    series.push(bucket);
+  }
+
+  items.forEach(item => {
+    const start = periodStart(item.closedDate, granularity, sprint).getTime();
+    const bucket = series[indexByStart[start]];
+    if (!bucket) return;
+    bucket.counts[item.group] = (bucket.counts[item.group] || 0) + 1;
+    bucket.total++;
+  });
+
+  // Média móvel considera o período atual e os anteriores disponíveis
+  series.forEach((bucket, index) => {
+    const window = series.slice(Math.max(0, index - rollingPeriods + 1), index + 1);
+    const sum = window.reduce((acc, current) => acc + current.total, 0);
+    bucket.rollingAverage = Math.round((sum / window.length) * 10) / 10;
+  });
+
+  return series;
+};
@@ -0,0 +1,35 @@
+import { computePercentiles } from './statistics';
+import { startOfDay, addDays } from './dateParsing';
+
+export const TREND_WINDOWS = [30, 60, 90, 180];
+
+export const TREND_PERCENTILES = [50, 85];
+
+// Percentis móveis calculados em cada data de conclusão, usando os itens
+// concluídos nos últimos windowDays dias (inclusive o próprio dia)
+export const buildRollingPercentiles = (items, windowDays, method) => {
+  const sorted = [...items].sort((a, b) => a.timestamp - b.timestamp);
+  const points = [];
+  let windowStart = 0;
+
+  for (let index = 0; index < sorted.length; index++) {
+    const day = startOfDay(sorted[index].closedDate);
+
+    // Processar apenas o último item de cada dia
+    const next = sorted[index + 1];
+    if (next && startOfDay(next.closedDate).getTime() === day.getTime()) continue;
+
+    const firstDay = addDays(day, -(windowDays - 1));
+    while (sorted[windowStart].closedDate < firstDay) windowStart++;
+
+    const leadTimes = sorted.slice(windowStart, index + 1).map(item => item.leadTime).sort((a, b) => a - b);
+    points.push({
+      timestamp: sorted[index].timestamp,
+      date: day,
+      count: leadTimes.length,
+      percentiles: computePercentiles(leadTimes, TREND_PERCENTILES, method)
+    });
+  }
+
+  return points;
+};
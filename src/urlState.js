@@ -0,0 +1,90 @@
+import { TYPE_GROUP } from './grouping';
+
+// Parâmetros da URL: visão, agrupamento, grupos ocultos, linhas de percentil e período reproduzem o que está
+// na tela; src, refresh e embed controlam de onde vêm os dados e como a página é exibida
+const PERCENTILE_PARAM = /^showP(\d+(?:\.\d+)?)$/;
+const INPUT_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const SETTINGS_PARAMS = ['view', 'groupBy', 'hide', 'from', 'to'];
+
+// Intervalo mínimo do auto-refresh: cada atualização baixa e processa o arquivo inteiro
+const MIN_REFRESH_MINUTES = 1;
+
+const readDate = (params, key) => {
+  const value = params.get(key);
+  return value && INPUT_DATE.test(value) ? value : '';
+};
+
+// Lê a query string; settings fica null quando o link não traz estado de filtros
+export const readUrlState = (search, views) => {
+  const params = new URLSearchParams(search);
+
+  const percentileVisibility = {};
+  params.forEach((value, key) => {
+    const match = key.match(PERCENTILE_PARAM);
+    // Mesmo limite das linhas adicionadas na tela: fora de (0, 100) o percentil não existe
+    const percentile = match ? Number(match[1]) : NaN;
+    if (percentile > 0 && percentile < 100) percentileVisibility[percentile] = value !== '0';
+  });
+  const hasPercentiles = Object.keys(percentileVisibility).length > 0;
+  const hasSettings = hasPercentiles || SETTINGS_PARAMS.some(key => params.has(key));
+
+  const settings = hasSettings
+    ? {
+      // Um link com estado reproduz a tela inteira: o que não vier na URL volta ao padrão
+      groupBy: params.get('groupBy') || TYPE_GROUP,
+      groupFilters: Object.fromEntries(params.getAll('hide').map(group => [group, false])),
+      dateRange: { start: readDate(params, 'from'), end: readDate(params, 'to') },
+      ...(views.includes(params.get('view')) ? { view: params.get('view') } : {}),
+      ...(hasPercentiles ? { percentileVisibility } : {})
+    }
+    : null;
+
+  const url = params.get('src');
+  const refresh = Number(params.get('refresh'));
+  const refreshMinutes = refresh > 0 ? Math.max(MIN_REFRESH_MINUTES, refresh) : 0;
+
+  return {
+    settings,
+    dataSource: url ? { url, refreshMinutes } : null,
+    embed: params.get('embed') === '1' || params.get('embed') === 'true'
+  };
+};
+
+// Configurações do dataset com o estado do link por cima; com percentis na URL as linhas são exatamente as do link
+export const applyUrlSettings = (settings, urlSettings) => {
+  if (!urlSettings) return settings;
+
+  const { percentileVisibility, ...rest } = urlSettings;
+  if (!percentileVisibility) return { ...settings, ...rest };
+
+  const percentileLines = Object.entries(percentileVisibility)
+    .map(([value, visible]) => ({ value: Number(value), visible }))
+    .sort((a, b) => a.value - b.value);
+
+  return { ...settings, ...rest, percentileLines };
+};
+
+// Query string com o estado atual; sem settings (tela inicial) só a fonte de dados e o embed são mantidos
+export const buildUrlSearch = (settings, { dataSource, embed }) => {
+  const params = new URLSearchParams();
+  if (dataSource) {
+    params.set('src', dataSource.url);
+    if (dataSource.refreshMinutes > 0) params.set('refresh', String(dataSource.refreshMinutes));
+  }
+  if (embed) params.set('embed', '1');
+
+  if (settings) {
+    const { view, groupBy, groupFilters, percentileLines, dateRange } = settings;
+    params.set('view', view);
+    if (groupBy !== TYPE_GROUP) params.set('groupBy', groupBy);
+    Object.entries(groupFilters)
+      .filter(([, visible]) => visible === false)
+      .forEach(([group]) => params.append('hide', group));
+    percentileLines.forEach(line => params.set(`showP${line.value}`, line.visible ? '1' : '0'));
+    if (dateRange.start) params.set('from', dateRange.start);
+    if (dateRange.end) params.set('to', dateRange.end);
+  }
+
+  const search = params.toString();
+  return search ? `?${search}` : '';
+};